@@ -1,4 +1,5 @@
 import { createClient } from 'redis';
+import crypto from 'crypto';
 
 class RedisClient {
   constructor() {
@@ -12,6 +13,7 @@ class RedisClient {
     });
 
     this.isConnected = false;
+    this.scriptShas = new Map();
 
     this.client.on('error', (err) => {
       console.error('❌ Redis Client Error:', err);
@@ -41,15 +43,34 @@ class RedisClient {
     }
   }
 
+  // Separate connection for subscribers such as the Socket.IO adapter, which cannot share this one
+  async duplicate() {
+    const client = this.client.duplicate();
+    client.on('error', (err) => {
+      console.error('❌ Redis Client Error:', err);
+    });
+    await client.connect();
+    return client;
+  }
+
   // Utility methods...
   async get(key) {
     return this.client.get(key);
   }
 
+  async mGet(keys) {
+    return keys.length > 0 ? this.client.mGet(keys) : [];
+  }
+
   async set(key, value) {
     return this.client.set(key, value);
   }
 
+  // Returns 'OK' if the key was set, or null when it already existed
+  async setNx(key, value) {
+    return this.client.set(key, value, { NX: true });
+  }
+
   async setEx(key, seconds, value) {
     return this.client.setEx(key, seconds, value);
   }
@@ -80,8 +101,12 @@ class RedisClient {
 
   async zRevRange(key, start, stop, withScores = false) {
     return withScores
-      ? this.client.zRevRangeWithScores(key, start, stop)
-      : this.client.zRevRange(key, start, stop);
+      ? this.client.zRangeWithScores(key, start, stop, { REV: true })
+      : this.client.zRange(key, start, stop, { REV: true });
+  }
+
+  async zRevRank(key, member) {
+    return this.client.zRevRank(key, member);
   }
 
   async zCard(key) {
@@ -92,6 +117,83 @@ class RedisClient {
     return this.client.zRemRangeByScore(key, min, max);
   }
 
+  async sAdd(key, member) {
+    return this.client.sAdd(key, member);
+  }
+
+  async sRem(key, member) {
+    return this.client.sRem(key, member);
+  }
+
+  async sMembers(key) {
+    return this.client.sMembers(key);
+  }
+
+  async hGet(key, field) {
+    return this.client.hGet(key, field);
+  }
+
+  async hVals(key) {
+    return this.client.hVals(key);
+  }
+
+  async hSet(key, field, value) {
+    return this.client.hSet(key, field, value);
+  }
+
+  async hDel(key, field) {
+    return this.client.hDel(key, field);
+  }
+
+  // EVALSHA with a fallback to EVAL the first time a server has not seen the script
+  async evalScript(script, keys, args = []) {
+    if (!this.scriptShas.has(script)) {
+      this.scriptShas.set(script, crypto.createHash('sha1').update(script).digest('hex'));
+    }
+
+    const options = { keys, arguments: args.map(String) };
+    try {
+      return await this.client.evalSha(this.scriptShas.get(script), options);
+    } catch (error) {
+      if (!String(error.message).startsWith('NOSCRIPT')) throw error;
+      return this.client.eval(script, options);
+    }
+  }
+
+  async scanKeys(pattern) {
+    const keys = [];
+    for await (const batch of this.client.scanIterator({ MATCH: pattern, COUNT: 500 })) {
+      keys.push(...(Array.isArray(batch) ? batch : [batch]));
+    }
+    return keys;
+  }
+
+  async lPush(key, value) {
+    return this.client.lPush(key, value);
+  }
+
+  async lRange(key, start, stop) {
+    return this.client.lRange(key, start, stop);
+  }
+
+  async lTrim(key, start, stop) {
+    return this.client.lTrim(key, start, stop);
+  }
+
+  async lLen(key) {
+    return this.client.lLen(key);
+  }
+
+  // `maxLen` trims the oldest entries approximately, which Redis can do cheaply
+  async xAdd(key, fields, { maxLen = null } = {}) {
+    const options = maxLen ? { TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: maxLen } } : undefined;
+    return this.client.xAdd(key, '*', fields, options);
+  }
+
+  async xRange(key, start = '-', end = '+') {
+    return this.client.xRange(key, start, end);
+  }
+
   async incr(key) {
     return this.client.incr(key);
   }
@@ -1,15 +1,35 @@
 import 'dotenv/config';
 import express from 'express';
 import http from 'http';
+import { fileURLToPath } from 'url';
 import { Server as SocketIO } from 'socket.io';
+import { createAdapter } from '@socket.io/redis-adapter';
 import cors from 'cors';
 import helmet from 'helmet';
 
 import MatchmakingService from './services/MatchmakingService.js';
 import PlayerService from './services/PlayerService.js';
 import GameService from './services/GameService.js';
+import PartyService from './services/PartyService.js';
+import AuthService from './services/AuthService.js';
+import SeasonService from './services/SeasonService.js';
+import AuthMiddleware from './middleware/auth.js';
+import ReplayPlayer from './utils/ReplayPlayer.js';
+import RateLimiter from './middleware/rateLimiter.js';
 import RedisClient from './config/redis.js';
 import RabbitMQClient from './config/rabbitmq.js';
+import GameModeRegistry from './modes/GameModeRegistry.js';
+
+const ROUTED_GAME_CALLS = [
+  'handleGameAction',
+  'acknowledgeSnapshot',
+  'requestResync',
+  'addSpectator',
+  'removeSpectator',
+  'handlePlayerReconnect',
+  'handlePlayerDisconnect',
+  'reportResult'
+];
 
 class GameServer {
   constructor() {
@@ -22,9 +42,22 @@ class GameServer {
       }
     });
 
-    this.matchmakingService = new MatchmakingService();
-    this.playerService = new PlayerService();
     this.gameService = new GameService();
+    this.matchmakingService = new MatchmakingService(this.gameService);
+    this.playerService = new PlayerService();
+    this.partyService = new PartyService();
+    this.authService = new AuthService();
+    this.seasonService = new SeasonService();
+    this.auth = new AuthMiddleware(this.authService);
+    this.latencyPingInterval = parseInt(process.env.LATENCY_PING_INTERVAL_MS) || 5000;
+    this.clusterCallTimeout = parseInt(process.env.CLUSTER_CALL_TIMEOUT_MS) || 5000;
+    this.drainTimeout = parseInt(process.env.DRAIN_TIMEOUT_MS) || 10000;
+    this.reconnectDelay = parseInt(process.env.DRAIN_RECONNECT_DELAY_MS) || 1000;
+    this.draining = false;
+    // Delayed spectator events wait here per game, oldest first, for one shared relay interval
+    this.spectatorQueues = new Map();
+    this.spectatorRelay = null;
+    this.spectatorRelayInterval = 50;
 
     this.setupMiddleware();
     this.setupRoutes();
@@ -32,17 +65,25 @@ class GameServer {
   }
 
   setupMiddleware() {
+    // The client measures region latency by fetching each region's ping URL directly
+    const pingOrigins = [...new Set(this.matchmakingService.regions
+      .filter(region => region.pingUrl && URL.canParse(region.pingUrl))
+      .map(region => new URL(region.pingUrl).origin))];
+    const contentSecurityPolicy = [
+      "default-src 'self'",
+      "script-src 'self' 'unsafe-inline'",
+      "style-src 'self' 'unsafe-inline'",
+      ["connect-src 'self'", ...pingOrigins].join(' ')
+    ].join('; ');
+
     this.app.use(helmet());
-    this.app.use(cors());
-    this.app.use(express.json());
-    this.app.use(express.static('public'));
     this.app.use((req, res, next) => {
-      res.setHeader(
-        'Content-Security-Policy',
-        "default-src 'self'; script-src 'self' 'unsafe-inline'; style-src 'self' 'unsafe-inline'"
-      );
+      res.setHeader('Content-Security-Policy', contentSecurityPolicy);
       next();
     });
+    this.app.use(cors());
+    this.app.use(express.json());
+    this.app.use(express.static('public'));
   }
 
   setupRoutes() {
@@ -50,25 +91,178 @@ class GameServer {
       res.json({ status: 'ok', timestamp: Date.now() });
     });
 
-    this.app.post('/api/players', async (req, res) => {
+    const authLimiter = new RateLimiter(
+      parseInt(process.env.RATE_LIMIT_WINDOW) || 60000,
+      parseInt(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS) || 20
+    );
+
+    this.app.post('/api/auth/register', authLimiter.middleware(), async (req, res) => {
       try {
-        const { username, gameMode } = req.body;
-        const player = await this.playerService.createPlayer(username, gameMode);
-        res.json(player);
+        const { username, password, gameMode } = req.body;
+        const { player, token } = await this.authService.register(username, password, gameMode);
+        res.json({ player, token });
       } catch (error) {
         res.status(400).json({ error: error.message });
       }
     });
 
+    this.app.post('/api/auth/login', authLimiter.middleware(), async (req, res) => {
+      try {
+        const { username, password } = req.body;
+        const { player, token } = await this.authService.login(username, password);
+        res.json({ player, token });
+      } catch (error) {
+        res.status(401).json({ error: error.message });
+      }
+    });
+
+    // Everything below requires a signed player token
+    this.app.use('/api', this.auth.middleware());
+
     this.app.get('/api/players/:id', async (req, res) => {
       try {
         const player = await this.playerService.getPlayer(req.params.id);
-        res.json(player);
+        if (!player) return res.status(404).json({ error: 'Player not found' });
+        res.json({ ...player, ranks: this.playerService.getRanks(player) });
       } catch (error) {
         res.status(404).json({ error: 'Player not found' });
       }
     });
 
+    this.app.get('/api/players/:id/history', async (req, res) => {
+      try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const gameMode = req.query.mode || null;
+
+        if (gameMode && !GameModeRegistry.has(gameMode)) {
+          return res.status(400).json({ error: `Unknown game mode: ${gameMode}` });
+        }
+
+        const player = await this.playerService.getPlayer(req.params.id);
+        if (!player) return res.status(404).json({ error: 'Player not found' });
+
+        const { entries, total } = await this.playerService.getMatchHistory(player.id, {
+          gameMode,
+          limit,
+          offset: (page - 1) * limit
+        });
+
+        res.json({ playerId: player.id, gameMode, page, limit, total, entries });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/players/:id/stats', async (req, res) => {
+      try {
+        const gameMode = req.query.mode || null;
+
+        if (gameMode && !GameModeRegistry.has(gameMode)) {
+          return res.status(400).json({ error: `Unknown game mode: ${gameMode}` });
+        }
+
+        const player = await this.playerService.getPlayer(req.params.id);
+        if (!player) return res.status(404).json({ error: 'Player not found' });
+
+        res.json(this.playerService.getPlayerStats(player, gameMode));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/leaderboards/:mode', async (req, res) => {
+      try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const { mode } = req.params;
+
+        const [entries, total] = await Promise.all([
+          this.playerService.getLeaderboard(mode, limit, (page - 1) * limit),
+          this.playerService.getLeaderboardSize(mode)
+        ]);
+
+        res.json({ gameMode: mode, page, limit, total, entries });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/leaderboards/:mode/me', async (req, res) => {
+      try {
+        const radius = Math.min(Math.max(parseInt(req.query.radius) || 5, 0), 25);
+        const { rank, entries } = await this.playerService.getLeaderboardAround(req.params.mode, req.player.id, radius);
+
+        if (rank === null) {
+          return res.status(404).json({ error: 'Player is not ranked in this mode' });
+        }
+
+        res.json({ gameMode: req.params.mode, playerId: req.player.id, rank, entries });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/seasons/current', async (req, res) => {
+      try {
+        const season = await this.seasonService.getCurrentSeason();
+        res.json({ ...season, placementMatches: this.seasonService.placementMatches });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/seasons/:number/leaderboards/:mode', async (req, res) => {
+      try {
+        const number = parseInt(req.params.number);
+        const season = await this.seasonService.getSeason(number);
+        if (!season) return res.status(404).json({ error: 'Season not found' });
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const entries = await this.playerService.getSeasonLeaderboard(number, req.params.mode, limit, (page - 1) * limit);
+
+        res.json({ season, gameMode: req.params.mode, page, limit, entries });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/regions', (req, res) => {
+      res.json({
+        regions: this.matchmakingService.regions,
+        nodeRegion: this.matchmakingService.nodeRegion,
+        maxLatency: this.matchmakingService.latencyPolicy.maxLatency
+      });
+    });
+
+    this.app.get('/api/matchmaking/policies', async (req, res) => {
+      try {
+        res.json(await this.matchmakingService.getPolicies());
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Takes effect on every node from the next matchmaking pass
+    this.app.put('/api/matchmaking/policies/:mode', this.auth.serverMiddleware(), async (req, res) => {
+      try {
+        const policy = await this.matchmakingService.setPolicyOverride(req.params.mode, req.body);
+        res.json({ gameMode: req.params.mode, policy, override: req.body });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/matchmaking/policies/:mode', this.auth.serverMiddleware(), async (req, res) => {
+      try {
+        const policy = await this.matchmakingService.setPolicyOverride(req.params.mode, null);
+        res.json({ gameMode: req.params.mode, policy, override: null });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
     this.app.get('/api/queue/status', async (req, res) => {
       try {
         const status = await this.matchmakingService.getQueueStatus();
@@ -81,16 +275,47 @@ class GameServer {
     this.app.get('/api/games/:id', async (req, res) => {
       try {
         const game = await this.gameService.getGame(req.params.id);
-        res.json(game);
+        res.json(game && this.gameService.getSpectatorSnapshot(game));
       } catch (error) {
         res.status(404).json({ error: 'Game not found' });
       }
     });
+
+    this.app.get('/api/games/:id/replay', async (req, res) => {
+      try {
+        const replay = await this.gameService.replayService.getReplay(req.params.id);
+        if (!replay) return res.status(404).json({ error: 'Replay not found' });
+
+        // Live games are only visible through the delayed spectator stream
+        if (!replay.finished) return res.status(409).json({ error: 'Replay is available once the game has finished' });
+        res.json(replay);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/games/:id/result', this.auth.serverMiddleware(), async (req, res) => {
+      try {
+        const { reason, ...report } = req.body;
+        const result = await this.callGameHost(req.params.id, 'reportResult', req.params.id, report, reason);
+        res.json(result);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
   }
 
   setupSocketHandlers() {
+  this.io.use(this.auth.socketMiddleware());
+
   this.io.on('connection', (socket) => {
-    console.log(`🎮 Player connected: ${socket.id}`);
+    const { playerId } = socket.data;
+    console.log(`🎮 Player connected: ${socket.id} (${playerId})`);
+    socket.data.spectating = new Set();
+    this.bindPlayer(socket, playerId);
+    this.trackLatency(socket);
+    this.resumeSession(socket, playerId);
+    this.resumeQueue(socket, playerId);
 
     // DEBUG: Listen for all raw messages
     socket.onAny((event, ...args) => {
@@ -100,8 +325,8 @@ class GameServer {
     socket.on('join_queue', async (data) => {
       try {
         console.log(`🧩 [${socket.id}] Join queue request:`, data);
-        const { playerId, gameMode, preferences } = data;
-        await this.matchmakingService.addToQueue(playerId, gameMode, preferences, socket.id);
+        const { gameMode, preferences } = data;
+        await this.matchmakingService.addToQueue(playerId, gameMode, preferences, socket.id, { rtt: socket.data.rtt });
         socket.join(`queue_${gameMode}`);
         socket.emit('queue_joined', { status: 'success', gameMode });
       } catch (error) {
@@ -113,7 +338,7 @@ class GameServer {
     socket.on('leave_queue', async (data) => {
       try {
         console.log(`📤 [${socket.id}] Leave queue request:`, data);
-        const { playerId, gameMode } = data;
+        const { gameMode } = data;
         await this.matchmakingService.removeFromQueue(playerId, gameMode);
         socket.leave(`queue_${gameMode}`);
         socket.emit('queue_left', { status: 'success' });
@@ -123,20 +348,220 @@ class GameServer {
       }
     });
 
+    socket.on('match_accept', async (data) => {
+      try {
+        await this.respondToReadyCheck(data.matchId, playerId, true);
+      } catch (error) {
+        console.error(`❌ Error accepting match [${socket.id}]:`, error.message);
+        socket.emit('error', { message: error.message });
+      }
+    });
+
+    socket.on('match_decline', async (data) => {
+      try {
+        await this.respondToReadyCheck(data.matchId, playerId, false);
+      } catch (error) {
+        console.error(`❌ Error declining match [${socket.id}]:`, error.message);
+        socket.emit('error', { message: error.message });
+      }
+    });
+
+    socket.on('party_create', async (data = {}) => {
+      try {
+        const latency = { preferences: data.preferences || {}, rtt: socket.data.rtt };
+        const party = await this.partyService.createParty(playerId, socket.id, latency);
+        socket.join(`party_${party.id}`);
+        socket.emit('party_updated', party);
+      } catch (error) {
+        console.error(`❌ Error creating party [${socket.id}]:`, error.message);
+        socket.emit('error', { message: error.message });
+      }
+    });
+
+    socket.on('party_invite', async (data) => {
+      try {
+        const { partyId, targetId } = data;
+        const party = await this.partyService.invitePlayer(partyId, playerId, targetId);
+        const leader = party.members.find(m => m.id === playerId);
+        this.io.to(`player_${targetId}`).emit('party_invite', {
+          partyId,
+          leaderId: playerId,
+          leaderName: leader?.username
+        });
+        this.io.to(`party_${partyId}`).emit('party_updated', party);
+      } catch (error) {
+        console.error(`❌ Error inviting to party [${socket.id}]:`, error.message);
+        socket.emit('error', { message: error.message });
+      }
+    });
+
+    socket.on('party_accept', async (data) => {
+      try {
+        const { partyId, preferences } = data;
+        const latency = { preferences: preferences || {}, rtt: socket.data.rtt };
+        const party = await this.partyService.acceptInvite(partyId, playerId, socket.id, latency);
+        await this.matchmakingService.removePartyFromQueue(partyId);
+        socket.join(`party_${partyId}`);
+        this.io.to(`party_${partyId}`).emit('party_updated', party);
+      } catch (error) {
+        console.error(`❌ Error accepting party invite [${socket.id}]:`, error.message);
+        socket.emit('error', { message: error.message });
+      }
+    });
+
+    socket.on('party_leave', async () => {
+      try {
+        const party = await this.partyService.leaveParty(playerId);
+        await this.matchmakingService.removePartyFromQueue(party.id);
+        socket.leave(`party_${party.id}`);
+        socket.emit('party_left', { partyId: party.id });
+        if (!party.disbanded) {
+          this.io.to(`party_${party.id}`).emit('party_updated', party);
+        }
+      } catch (error) {
+        console.error(`❌ Error leaving party [${socket.id}]:`, error.message);
+        socket.emit('error', { message: error.message });
+      }
+    });
+
+    socket.on('party_kick', async (data) => {
+      try {
+        const { partyId, targetId } = data;
+        const party = await this.partyService.kickMember(partyId, playerId, targetId);
+        await this.matchmakingService.removePartyFromQueue(partyId);
+        this.io.in(`player_${targetId}`).socketsLeave(`party_${partyId}`);
+        this.io.to(`player_${targetId}`).emit('party_kicked', { partyId });
+        this.io.to(`party_${partyId}`).emit('party_updated', party);
+      } catch (error) {
+        console.error(`❌ Error kicking party member [${socket.id}]:`, error.message);
+        socket.emit('error', { message: error.message });
+      }
+    });
+
+    socket.on('leaderboard_subscribe', (data) => {
+      socket.join(`leaderboard_${data.gameMode}`);
+    });
+
+    socket.on('leaderboard_unsubscribe', (data) => {
+      socket.leave(`leaderboard_${data.gameMode}`);
+    });
+
     socket.on('game_action', async (data) => {
       try {
         console.log(`🎯 [${socket.id}] Game action:`, data);
         const { gameId, action, payload } = data;
-        await this.gameService.handleGameAction(gameId, socket.id, action, payload);
+        await this.callGameHost(gameId, 'handleGameAction', gameId, playerId, action, payload, { latency: socket.data.latency || 0 });
       } catch (error) {
         console.error(`❌ Error processing game action [${socket.id}]:`, error.message);
         socket.emit('error', { message: error.message });
       }
     });
 
+    socket.on('spectate_join', async (data) => {
+      try {
+        const { gameId } = data;
+        const game = await this.callGameHost(gameId, 'addSpectator', gameId, playerId);
+
+        socket.join(`spectate_${gameId}`);
+        socket.data.spectating.add(gameId);
+        socket.emit('spectate_joined', { gameId, game });
+      } catch (error) {
+        console.error(`❌ Error joining spectators [${socket.id}]:`, error.message);
+        socket.emit('error', { message: error.message });
+      }
+    });
+
+    socket.on('spectate_leave', async (data) => {
+      try {
+        const { gameId } = data;
+        socket.leave(`spectate_${gameId}`);
+        socket.data.spectating.delete(gameId);
+        await this.callGameHost(gameId, 'removeSpectator', gameId, playerId);
+        socket.emit('spectate_left', { gameId });
+      } catch (error) {
+        console.error(`❌ Error leaving spectators [${socket.id}]:`, error.message);
+        socket.emit('error', { message: error.message });
+      }
+    });
+
+    socket.on('replay_start', async (data) => {
+      try {
+        const { gameId, speed } = data;
+        const replay = await this.gameService.replayService.getReplay(gameId);
+        if (!replay) throw new Error('Replay not found');
+        if (!replay.finished) throw new Error('Replay is available once the game has finished');
+
+        socket.data.replay?.stop();
+        socket.data.replay = new ReplayPlayer(replay, (event, payload) => socket.emit(event, payload), { speed });
+
+        const { events, ...header } = replay;
+        socket.emit('replay_loaded', { ...header, eventCount: events.length });
+        socket.data.replay.play();
+      } catch (error) {
+        console.error(`❌ Error starting replay [${socket.id}]:`, error.message);
+        socket.emit('error', { message: error.message });
+      }
+    });
+
+    socket.on('replay_control', (data) => {
+      const player = socket.data.replay;
+      if (!player) {
+        socket.emit('error', { message: 'No replay loaded' });
+        return;
+      }
+
+      switch (data?.action) {
+        case 'play':
+          player.play();
+          break;
+        case 'pause':
+          player.pause();
+          break;
+        case 'seek':
+          player.seek(data.position);
+          break;
+        case 'speed':
+          player.setSpeed(data.speed);
+          break;
+        default:
+          socket.emit('error', { message: `Unknown replay action: ${data?.action}` });
+      }
+    });
+
+    socket.on('replay_stop', () => {
+      socket.data.replay?.stop();
+      socket.data.replay = null;
+    });
+
+    socket.on('snapshot_ack', (data) => {
+      this.callGameHost(data?.gameId, 'acknowledgeSnapshot', data?.gameId, playerId, data?.tick).catch(error => {
+        console.error(`❌ Error acknowledging snapshot [${socket.id}]:`, error.message);
+      });
+    });
+
+    // Clients that lost track of their state ask for a full snapshot on the next tick
+    socket.on('snapshot_resync', (data) => {
+      this.callGameHost(data?.gameId, 'requestResync', data?.gameId, playerId).catch(error => {
+        console.error(`❌ Error requesting resync [${socket.id}]:`, error.message);
+      });
+    });
+
     socket.on('disconnect', async (reason) => {
       console.log(`❌ Player disconnected: ${socket.id} | Reason: ${reason}`);
-      await this.matchmakingService.handlePlayerDisconnect(socket.id);
+      socket.data.replay?.stop();
+      // While draining, players keep their queue spot and game seat for when they reconnect
+      if (this.draining) return;
+
+      try {
+        this.io.serverSideEmit('ready_checks_decline', { socketId: socket.id });
+        await this.matchmakingService.handlePlayerDisconnect(socket.id);
+        await this.callPlayerGameHost(playerId, 'handlePlayerDisconnect', playerId, socket.id);
+        for (const gameId of socket.data.spectating) {
+          await this.callGameHost(gameId, 'removeSpectator', gameId, playerId);
+        }
+      } catch (error) {
+        console.error(`❌ Error cleaning up after disconnect [${socket.id}]:`, error.message);
+      }
     });
 
     // DEBUG: WebSocket error tracking
@@ -145,44 +570,327 @@ class GameServer {
     });
   });
 
+  this.matchmakingService.on('match_ready_check', ({ matchId, gameMode, players, expiresAt }) => {
+    players.forEach(player => {
+      this.io.to(`player_${player.id}`).emit('match_ready_check', {
+        matchId,
+        gameMode,
+        expiresAt,
+        players: players.map(p => ({ id: p.id, username: p.username, isBot: Boolean(p.isBot) }))
+      });
+    });
+  });
+
+  this.matchmakingService.on('ready_check_update', ({ matchId, players, accepted, total }) => {
+    players.forEach(player => {
+      this.io.to(`player_${player.id}`).emit('ready_check_update', { matchId, accepted, total });
+    });
+  });
+
+  this.matchmakingService.on('match_ready_check_failed', ({ matchId, reason, players, offenders, requeued, penaltyEndsAt }) => {
+    players.forEach(player => {
+      this.io.to(`player_${player.id}`).emit('match_ready_check_failed', {
+        matchId,
+        reason,
+        requeued: requeued.includes(player.id),
+        penaltyEndsAt: offenders.includes(player.id) ? penaltyEndsAt : null
+      });
+    });
+  });
+
   this.matchmakingService.on('match_found', (matchData) => {
     console.log(`✅ Match found: ${matchData.gameId}`);
-    matchData.players.forEach(player => {
-      const socket = this.io.sockets.sockets.get(player.socketId);
-      if (socket) {
-        socket.join(`game_${matchData.gameId}`);
-        socket.emit('match_found', {
-          gameId: matchData.gameId,
-          players: matchData.players.map(p => ({ id: p.id, username: p.username, rating: p.rating })),
-          gameMode: matchData.gameMode
-        });
-      }
+    // Players may be connected to any node; the adapter carries the room join and emit there
+    matchData.players.filter(p => !p.isBot).forEach(player => {
+      this.io.in(`player_${player.id}`).socketsJoin(`game_${matchData.gameId}`);
+      this.io.to(`player_${player.id}`).emit('match_found', {
+        gameId: matchData.gameId,
+        players: matchData.players.map(p => ({
+          id: p.id,
+          username: p.username,
+          rating: p.rating,
+          partyId: p.partyId || null,
+          tier: p.tier || null,
+          team: p.team,
+          isBot: Boolean(p.isBot)
+        })),
+        teams: matchData.teams,
+        team: player.team,
+        gameMode: matchData.gameMode,
+        region: matchData.region,
+        latency: matchData.latency,
+        rated: matchData.rated
+      });
     });
   });
 
   this.gameService.on('game_update', (gameId, update) => {
     console.log(`🔄 Game update for ${gameId}:`, update);
     this.io.to(`game_${gameId}`).emit('game_update', update);
+    if (update.type === 'game_ended') {
+      // Once the game is over the delay hides nothing: drop what is still pending and show the result
+      this.spectatorQueues.delete(gameId);
+      this.io.to(`spectate_${gameId}`).emit('game_update', { gameId, ...update });
+    } else {
+      this.relayToSpectators(gameId, 'game_update', { gameId, ...update });
+    }
+  });
+
+  // Each player gets a delta against the last snapshot they acknowledged
+  this.gameService.on('game_snapshot', async (gameId, { timestamp }) => {
+    const game = await this.gameService.getGame(gameId);
+    if (!game) return;
+
+    game.players.filter(p => p.connected && !p.abandoned).forEach(player => {
+      const snapshot = this.gameService.buildSnapshot(gameId, player.id);
+      if (snapshot) {
+        this.io.to(`player_${player.id}`).emit('game_snapshot', { gameId, ...snapshot, timestamp });
+      }
+    });
+
+    if (game.spectatorCount > 0) {
+      const snapshot = this.gameService.buildSpectatorSnapshot(gameId);
+      this.relayToSpectators(gameId, 'game_snapshot', { gameId, ...snapshot, spectator: true, timestamp });
+    }
+  });
+
+  this.gameService.on('leaderboard_update', (gameMode, entry) => {
+    this.io.to(`leaderboard_${gameMode}`).emit('leaderboard_update', { gameMode, ...entry });
+  });
+
+  this.gameService.on('player_left', (gameId, data) => {
+    this.io.to(`game_${gameId}`).emit('player_left', { gameId, ...data });
+    this.relayToSpectators(gameId, 'player_left', { gameId, ...data });
+  });
+
+  this.gameService.on('player_joined', (gameId, data) => {
+    this.io.to(`game_${gameId}`).emit('player_joined', { gameId, ...data });
+    this.relayToSpectators(gameId, 'player_joined', { gameId, ...data });
   });
 }
 
+  bindPlayer(socket, playerId) {
+    socket.join(`player_${playerId}`);
+
+    // Keep party membership pointing at the player's latest socket
+    this.partyService.updateMemberSocket(playerId, socket.id).catch(error => {
+      console.error(`❌ Error updating party socket for ${playerId}:`, error.message);
+    });
+  }
+
+  // Other nodes ask this one to run calls for the games and ready checks it holds.
+  // Every node acknowledges, so callers can tell "not here" apart from a lost node.
+  setupClusterHandlers() {
+    this.io.on('game_call', async ({ nodeId, gameId, method, args }, callback) => {
+      if (!this.gameService.cluster.isLocal(nodeId)) return callback({ handled: false });
+
+      try {
+        if (!ROUTED_GAME_CALLS.includes(method)) throw new Error(`Unknown game call: ${method}`);
+        callback({ handled: true, result: await this.callGameHost(gameId, method, ...args) });
+      } catch (error) {
+        callback({ handled: true, error: error.message });
+      }
+    });
+
+    this.io.on('ready_check_response', async ({ matchId, playerId, accepted }, callback) => {
+      if (!this.matchmakingService.readyChecks.has(matchId)) return callback({ handled: false });
+
+      try {
+        await this.matchmakingService.respondToReadyCheck(matchId, playerId, accepted);
+        callback({ handled: true });
+      } catch (error) {
+        callback({ handled: true, error: error.message });
+      }
+    });
+
+    this.io.on('ready_checks_decline', ({ socketId }) => {
+      this.matchmakingService.declineReadyChecks(socketId).catch(error => {
+        console.error(`❌ Error declining ready checks for ${socketId}:`, error.message);
+      });
+    });
+  }
+
+  async callCluster(event, payload, missingMessage) {
+    const responses = await this.io.serverSideEmitWithAck(event, payload);
+    const response = responses.find(r => r?.handled);
+    if (!response) throw new Error(missingMessage);
+    if (response.error) throw new Error(response.error);
+    return response.result;
+  }
+
+  // A game's state and timers live on the node hosting it, so every call that touches a game runs there
+  async callGameHost(gameId, method, ...args) {
+    // A draining node has handed its games off and must not take any back
+    if (this.draining) throw new Error('Server is restarting, reconnect to continue');
+    if (!gameId || this.gameService.activeGames.has(gameId)) return this.gameService[method](...args);
+
+    const owner = await this.gameService.resolveOwner(gameId);
+    if (!owner || this.gameService.cluster.isLocal(owner)) return this.gameService[method](...args);
+
+    return this.callCluster('game_call', { nodeId: owner, gameId, method, args }, 'Game host is unavailable');
+  }
+
+  async callPlayerGameHost(playerId, method, ...args) {
+    const gameId = await this.gameService.getPlayerGameId(playerId);
+    return this.callGameHost(gameId, method, ...args);
+  }
+
+  // Ready checks live on the node that holds the matchmaking lease for their mode
+  async respondToReadyCheck(matchId, playerId, accepted) {
+    if (this.matchmakingService.readyChecks.has(matchId)) {
+      return this.matchmakingService.respondToReadyCheck(matchId, playerId, accepted);
+    }
+
+    return this.callCluster('ready_check_response', { matchId, playerId, accepted }, 'Ready check not found or already resolved');
+  }
+
+  // Spectators see everything, but only after the mode's broadcast delay
+  relayToSpectators(gameId, event, payload) {
+    const game = this.gameService.activeGames.get(gameId);
+    const room = `spectate_${gameId}`;
+    if (!game || !game.spectatorCount) return;
+
+    const delay = this.gameService.getSpectatorDelay(game.gameMode);
+    if (delay === 0) {
+      this.io.to(room).emit(event, payload);
+      return;
+    }
+
+    if (!this.spectatorQueues.has(gameId)) this.spectatorQueues.set(gameId, []);
+    this.spectatorQueues.get(gameId).push({ dueAt: Date.now() + delay, event, payload });
+    if (!this.spectatorRelay) {
+      this.spectatorRelay = setInterval(() => this.relayDueSpectatorEvents(), this.spectatorRelayInterval);
+    }
+  }
+
+  relayDueSpectatorEvents(now = Date.now()) {
+    for (const [gameId, queue] of this.spectatorQueues) {
+      let due = 0;
+      while (due < queue.length && queue[due].dueAt <= now) due++;
+
+      queue.splice(0, due).forEach(({ event, payload }) => this.io.to(`spectate_${gameId}`).emit(event, payload));
+      if (queue.length === 0) this.spectatorQueues.delete(gameId);
+    }
+
+    if (this.spectatorQueues.size === 0) {
+      clearInterval(this.spectatorRelay);
+      this.spectatorRelay = null;
+    }
+  }
+
+  // Smoothed round trip for region selection, and half of it as the one-way latency used for lag compensation
+  trackLatency(socket) {
+    const ping = () => socket.emit('latency_ping', Date.now());
+    const interval = setInterval(ping, this.latencyPingInterval);
+    ping();
+
+    socket.on('latency_pong', (sentAt) => {
+      const rtt = Date.now() - sentAt;
+      if (!Number.isFinite(rtt) || rtt < 0 || rtt > 10000) return;
+
+      socket.data.rtt = socket.data.rtt === undefined
+        ? rtt
+        : Math.round(socket.data.rtt * 0.8 + rtt * 0.2);
+      socket.data.latency = socket.data.rtt / 2;
+    });
+
+    socket.on('disconnect', () => clearInterval(interval));
+  }
+
+  async resumeSession(socket, playerId) {
+    try {
+      const game = await this.callPlayerGameHost(playerId, 'handlePlayerReconnect', playerId, socket.id);
+      if (!game) return;
+
+      socket.join(`game_${game.id}`);
+      socket.emit('game_resumed', this.gameService.getGameSnapshot(game));
+    } catch (error) {
+      console.error(`❌ Error resuming session for ${playerId}:`, error.message);
+    }
+  }
+
+  async resumeQueue(socket, playerId) {
+    try {
+      const gameMode = await this.matchmakingService.resumeQueue(playerId, socket.id);
+      if (!gameMode) return;
+
+      socket.join(`queue_${gameMode}`);
+      socket.emit('queue_joined', { status: 'resumed', gameMode });
+    } catch (error) {
+      console.error(`❌ Error resuming queue for ${playerId}:`, error.message);
+    }
+  }
+
+  // Drain mode: stop taking queue joins, hand matchmaking and this node's games to the rest
+  // of the cluster (or to this node once it restarts), then send clients off to reconnect
+  async shutdown(signal) {
+    if (this.draining) return;
+    this.draining = true;
+    console.log(`🛑 ${signal} received, draining...`);
+
+    setTimeout(() => {
+      console.error('❌ Drain timed out, exiting');
+      process.exit(1);
+    }, this.drainTimeout).unref();
+
+    try {
+      this.io.local.emit('server_draining', {
+        message: 'Server is restarting, reconnecting you shortly',
+        reconnectIn: this.reconnectDelay
+      });
+
+      clearInterval(this.seasonInterval);
+      clearInterval(this.spectatorRelay);
+      this.gameService.stopOwnershipHeartbeat();
+      await this.matchmakingService.drain();
+      await this.gameService.suspendGames();
+
+      this.io.local.disconnectSockets(true);
+      this.server.close();
+
+      await RabbitMQClient.close();
+      await Promise.all(this.adapterClients.map(client => client.disconnect()));
+      await RedisClient.disconnect();
+    } catch (error) {
+      console.error('❌ Drain failed:', error);
+      process.exit(1);
+    }
+
+    console.log('👋 Drained, exiting');
+    process.exit(0);
+  }
+
   async start() {
     try {
-      await RedisClient.client.connect(); // ensure Redis is connected
+      await RedisClient.init(); // ensure Redis is connected
       await RabbitMQClient.connect();
+      const modes = await GameModeRegistry.load();
+      console.log(`🎮 Loaded game modes: ${modes.join(', ')}`);
+
+      // Rooms, emits and server-side events reach every node through Redis
+      this.adapterClients = await Promise.all([RedisClient.duplicate(), RedisClient.duplicate()]);
+      this.io.adapter(createAdapter(...this.adapterClients, { requestsTimeout: this.clusterCallTimeout }));
+      this.setupClusterHandlers();
+
+      this.matchmakingService.startMatchmakingLoop();
+      this.gameService.startOwnershipHeartbeat();
+      // Games handed off by a node that shut down (possibly this one) carry on here
+      await this.gameService.adoptOrphanedGames();
+      console.log(`🛰️ Node ${this.gameService.cluster.nodeId} joined the cluster`);
+      await this.seasonService.checkRollover();
+      this.seasonInterval = setInterval(() => {
+        this.seasonService.checkRollover().catch(error => {
+          console.error('❌ Season rollover failed:', error);
+        });
+      }, 3600000);
 
       const PORT = process.env.PORT || 3000;
       this.server.listen(PORT, () => {
         console.log(`🚀 Matchmaking server running on port ${PORT}`);
       });
 
-      // Handle process exit
-      process.on('SIGINT', async () => {
-        console.log('🛑 Shutting down...');
-        await RabbitMQClient.close();
-        await RedisClient.disconnect();
-        process.exit(0);
-      });
+      process.on('SIGINT', () => this.shutdown('SIGINT'));
+      process.on('SIGTERM', () => this.shutdown('SIGTERM'));
 
     } catch (error) {
       console.error('❌ Failed to start server:', error);
@@ -191,7 +899,10 @@ class GameServer {
   }
 }
 
-const gameServer = new GameServer();
-gameServer.start();
+// Only serve when run as the entry point, so tests can build a server of their own
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const gameServer = new GameServer();
+  gameServer.start();
+}
 
 export default GameServer;
@@ -0,0 +1,67 @@
+import crypto from 'crypto';
+
+class AuthMiddleware {
+  constructor(authService) {
+    this.authService = authService;
+    this.serverKey = process.env.GAME_SERVER_KEY;
+  }
+
+  authenticate(token) {
+    if (!token) return null;
+
+    try {
+      return this.authService.verifyToken(token);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  middleware() {
+    return (req, res, next) => {
+      const header = req.headers.authorization || '';
+      const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+      const identity = this.authenticate(token);
+
+      if (!identity) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      req.player = { id: identity.playerId, username: identity.username };
+      next();
+    };
+  }
+
+  // Compares digests, which always have the same length, so neither the key nor its length leaks through timing
+  isServerKey(key) {
+    if (!this.serverKey || typeof key !== 'string') return false;
+
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(key), digest(this.serverKey));
+  }
+
+  // Result reporting is reserved for trusted game servers, not players
+  serverMiddleware() {
+    return (req, res, next) => {
+      if (!this.isServerKey(req.headers['x-server-key'])) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+      next();
+    };
+  }
+
+  socketMiddleware() {
+    return (socket, next) => {
+      const identity = this.authenticate(socket.handshake.auth?.token);
+
+      if (!identity) {
+        return next(new Error('Authentication required'));
+      }
+
+      socket.data.playerId = identity.playerId;
+      socket.data.username = identity.username;
+      next();
+    };
+  }
+}
+
+export default AuthMiddleware;
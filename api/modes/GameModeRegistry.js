@@ -0,0 +1,117 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import MatchmakingPolicy from '../utils/MatchmakingPolicy.js';
+
+const MODES_DIR = path.dirname(fileURLToPath(import.meta.url));
+const RESULT_FORMATS = ['winningTeam', 'teamRanks', 'placements'];
+
+// Every other .js file in this directory (and in GAME_MODES_DIR, if set) is a
+// game mode whose default export looks like:
+//
+//   {
+//     name: 'chess',
+//     playersPerMatch: 2,
+//     teamSize: null,               // players per team, or null for free-for-all
+//     maxPartySize: 1,
+//     config: { ... },              // copied onto each game as game.config
+//     rated: true,                  // whether finished games change ratings
+//     resultFormats: ['placements'],// report shapes accepted by POST /api/games/:id/result
+//     spectatorDelayMs: 0,          // how far behind the live game spectators are
+//     isCompatible(entryA, entryB), // optional preference check on top of the rating window
+//     matchmaking: { ratingWindow, relax, latency, quality, batch, bots }, // optional search policy, see MatchmakingPolicy
+//     visibility: { viewRadius, teamVision, isVisible(entity, viewer) }, // optional snapshot filtering
+//     onStart(gameService, game),   // optional, runs when the game goes active
+//     onEnd(gameService, game),     // optional, runs once the game is finished
+//     publicState(game),            // optional, the mode state players may see when the game starts
+//     onSuspend(gameService, game), // optional, moves in-memory state onto the game and frees it when the game leaves this node
+//     onResume(gameService, game, timers), // optional, restarts mode timers on the game's new host
+//     bot: { pace: 'thinkMs', act(game, player, profile) }, // optional, lets bots fill matches; act returns
+//                                   // the { action, payload } (or a list of them) the bot sends next
+//     actions: { move: async (gameService, game, player, payload, { latency }) => {} }
+//   }
+class GameModeRegistry {
+  constructor() {
+    this.modes = new Map();
+  }
+
+  async load(directories = [MODES_DIR, process.env.GAME_MODES_DIR].filter(Boolean)) {
+    for (const directory of directories) {
+      const files = fs.readdirSync(directory)
+        .filter(file => file.endsWith('.js') && file !== 'GameModeRegistry.js')
+        .sort();
+
+      for (const file of files) {
+        const { default: mode } = await import(pathToFileURL(path.join(directory, file)).href);
+        this.register(mode);
+      }
+    }
+
+    return this.names();
+  }
+
+  register(mode) {
+    this.validate(mode);
+    this.modes.set(mode.name, {
+      teamSize: null,
+      maxPartySize: 1,
+      config: {},
+      rated: true,
+      resultFormats: RESULT_FORMATS,
+      spectatorDelayMs: 0,
+      actions: {},
+      ...mode
+    });
+  }
+
+  validate(mode) {
+    if (!mode || typeof mode.name !== 'string' || !/^[a-z0-9_-]+$/.test(mode.name)) {
+      throw new Error('Game mode must have a lowercase name');
+    }
+
+    if (!Number.isInteger(mode.playersPerMatch) || mode.playersPerMatch < 2) {
+      throw new Error(`Game mode ${mode.name} must have at least 2 players per match`);
+    }
+
+    if (mode.teamSize && mode.playersPerMatch % mode.teamSize !== 0) {
+      throw new Error(`Game mode ${mode.name} cannot split ${mode.playersPerMatch} players into teams of ${mode.teamSize}`);
+    }
+
+    if (mode.resultFormats && mode.resultFormats.some(format => !RESULT_FORMATS.includes(format))) {
+      throw new Error(`Game mode ${mode.name} has an unknown result format`);
+    }
+
+    if (mode.bot && typeof mode.bot.act !== 'function') {
+      throw new Error(`Game mode ${mode.name} bot must have an act function`);
+    }
+
+    if (mode.matchmaking) {
+      try {
+        MatchmakingPolicy.resolve(mode.matchmaking);
+      } catch (error) {
+        throw new Error(`Game mode ${mode.name} has an invalid matchmaking policy: ${error.message}`);
+      }
+    }
+  }
+
+  has(name) {
+    return this.modes.has(name);
+  }
+
+  get(name) {
+    const mode = this.modes.get(name);
+    if (!mode) throw new Error(`Unknown game mode: ${name}`);
+    return mode;
+  }
+
+  names() {
+    return [...this.modes.keys()];
+  }
+
+  all() {
+    return [...this.modes.values()];
+  }
+}
+
+const gameModeRegistry = new GameModeRegistry();
+export default gameModeRegistry;
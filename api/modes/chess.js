@@ -0,0 +1,186 @@
+import ChessEngine from '../utils/ChessEngine.js';
+
+const PIECE_VALUES = { P: 1, N: 3, B: 3, R: 5, Q: 9, K: 0 };
+
+function createChessState(game) {
+  const [minutes, increment] = String(game.config.timeControl || '10+0').split('+').map(Number);
+  const baseTime = minutes * 60000;
+  const [white, black] = Math.random() < 0.5 ? game.players : [...game.players].reverse();
+  const engine = new ChessEngine();
+
+  return {
+    board: engine.toJSON(),
+    fen: engine.toFEN(),
+    colors: { w: white.id, b: black.id },
+    clock: {
+      w: baseTime,
+      b: baseTime,
+      increment: (increment || game.config.increment || 0) * 1000,
+      turnStartedAt: game.startedAt
+    }
+  };
+}
+
+function getColor(game, playerId) {
+  const { colors } = game.chess;
+  if (colors.w === playerId) return 'w';
+  if (colors.b === playerId) return 'b';
+  return null;
+}
+
+function requireColor(game, player) {
+  const color = getColor(game, player.id);
+  if (!color) throw new Error('Only seated players can act in this game');
+  return color;
+}
+
+function scheduleClock(gameService, game) {
+  const { clock, board } = game.chess;
+  const remaining = clock[board.turn] - (Date.now() - clock.turnStartedAt);
+
+  gameService.setGameTimer(game.id, 'chess_clock', Math.max(0, remaining) + 50, () => checkFlag(gameService, game.id));
+}
+
+async function checkFlag(gameService, gameId) {
+  const game = await gameService.getGame(gameId);
+  if (!game || game.status !== 'active' || !game.chess) return;
+
+  const { clock, board } = game.chess;
+  const remaining = clock[board.turn] - (Date.now() - clock.turnStartedAt);
+
+  if (remaining <= 0) {
+    await handleFlagFall(gameService, game, board.turn);
+  } else {
+    scheduleClock(gameService, game);
+  }
+}
+
+async function handleFlagFall(gameService, game, color) {
+  const { chess } = game;
+  const opponent = ChessEngine.opponent(color);
+
+  chess.clock[color] = 0;
+
+  // A flag only loses if the opponent could still deliver mate
+  if (ChessEngine.hasMatingMaterial(chess.board.board, opponent)) {
+    await gameService.endGame(game.id, chess.colors[opponent], 'timeout');
+  } else {
+    await gameService.endGame(game.id, null, 'timeout_vs_insufficient_material');
+  }
+}
+
+export default {
+  name: 'chess',
+  playersPerMatch: 2,
+  maxPartySize: 1,
+  config: {
+    maxPlayers: 2,
+    timeControl: '10+0',
+    increment: 0
+  },
+  resultFormats: ['placements'],
+  // 1v1 ratings are precise, so the window starts narrow; after a minute any time control will do
+  matchmaking: {
+    ratingWindow: { initial: 75, growth: 'linear', step: 25, intervalMs: 10000, max: 400 },
+    relax: { timeControl: 60000 }
+  },
+
+  isCompatible(entryA, entryB) {
+    const a = entryA.preferences || {};
+    const b = entryB.preferences || {};
+    return !(a.timeControl && b.timeControl && a.timeControl !== b.timeControl);
+  },
+
+  onStart(gameService, game) {
+    game.chess = createChessState(game);
+    scheduleClock(gameService, game);
+  },
+
+  // The position, seats and clocks; the engine's move history stays on the server
+  publicState(game) {
+    if (!game.chess) return null;
+    const { fen, colors, clock } = game.chess;
+    return { fen, colors, clock: { w: clock.w, b: clock.b, increment: clock.increment } };
+  },
+
+  // The clock keeps running in wall time, so the flag check just needs rescheduling
+  onResume(gameService, game) {
+    if (game.chess) scheduleClock(gameService, game);
+  },
+
+  // A random legal move, or for stronger bots more often the most valuable capture
+  bot: {
+    pace: 'thinkMs',
+    act(game, player, profile) {
+      if (!game.chess || game.chess.board.turn !== getColor(game, player.id)) return null;
+
+      const moves = new ChessEngine(game.chess.board).legalMoves();
+      if (moves.length === 0) return null;
+
+      const captures = moves
+        .filter(m => m.captured)
+        .sort((a, b) => PIECE_VALUES[b.captured[1]] - PIECE_VALUES[a.captured[1]]);
+      const move = captures.length > 0 && Math.random() < profile.skill
+        ? captures[0]
+        : moves[Math.floor(Math.random() * moves.length)];
+
+      return {
+        action: 'move',
+        payload: {
+          from: ChessEngine.indexToSquare(move.from),
+          to: ChessEngine.indexToSquare(move.to),
+          promotion: move.promotion || undefined
+        }
+      };
+    }
+  },
+
+  actions: {
+    async move(gameService, game, player, payload) {
+      const color = requireColor(game, player);
+      const { chess } = game;
+      const now = Date.now();
+
+      if (chess.board.turn !== color) throw new Error('Not your turn');
+
+      const remaining = chess.clock[color] - (now - chess.clock.turnStartedAt);
+      if (remaining <= 0) {
+        await handleFlagFall(gameService, game, color);
+        return;
+      }
+
+      const engine = new ChessEngine(chess.board);
+      const move = engine.move({ from: payload.from, to: payload.to, promotion: payload.promotion });
+
+      chess.board = engine.toJSON();
+      chess.fen = engine.toFEN();
+      chess.clock[color] = remaining + chess.clock.increment;
+      chess.clock.turnStartedAt = now;
+
+      await gameService.updateGame(game.id, game);
+      console.log(`Chess move: ${player.username} played ${move.uci}`);
+      gameService.emit('game_update', game.id, {
+        type: 'move',
+        playerId: player.id,
+        move,
+        fen: chess.fen,
+        turn: chess.board.turn,
+        clock: { w: chess.clock.w, b: chess.clock.b },
+        timestamp: now
+      });
+
+      const status = engine.status();
+      if (status.over) {
+        const winnerId = status.winner ? chess.colors[status.winner] : null;
+        await gameService.endGame(game.id, winnerId, status.reason);
+      } else {
+        scheduleClock(gameService, game);
+      }
+    },
+
+    async resign(gameService, game, player) {
+      const color = requireColor(game, player);
+      await gameService.endGame(game.id, game.chess.colors[ChessEngine.opponent(color)], 'resignation');
+    }
+  }
+};
@@ -0,0 +1,173 @@
+import FPSSimulation from '../utils/FPSSimulation.js';
+
+// Movement history used for lag compensation lives only in memory, keyed by game id
+const simulations = new Map();
+const VIEW_RADIUS = 350;
+
+function getSimulation(game) {
+  let simulation = simulations.get(game.id);
+  if (!simulation) {
+    simulation = game.fps
+      ? new FPSSimulation(game.config, game.fps)
+      : FPSSimulation.create(game.config, game.players);
+    simulations.set(game.id, simulation);
+    game.fps = simulation.toJSON();
+  }
+  return simulation;
+}
+
+// Leaves the latest state on the game for whoever reads it next
+function releaseSimulation(game) {
+  if (simulations.has(game.id)) game.fps = simulations.get(game.id).toJSON();
+  simulations.delete(game.id);
+}
+
+function scheduleTick(gameService, game, simulation) {
+  gameService.setGameTimer(game.id, 'fps_tick', 1000 / simulation.config.tickRate, () => tick(gameService, game.id));
+}
+
+async function tick(gameService, gameId) {
+  const game = await gameService.getGame(gameId);
+  if (!game || game.status !== 'active') return;
+
+  const simulation = getSimulation(game);
+  const now = Date.now();
+  const events = simulation.step(now);
+
+  gameService.publishSnapshot(gameId, simulation.state.tick, simulation.snapshot(), { scores: simulation.getScores() }, events);
+
+  // Persisting every tick would hammer Redis; once a second is enough to resume from
+  if (simulation.state.tick % simulation.config.tickRate === 0) {
+    await gameService.updateGame(gameId, game);
+  }
+
+  scheduleTick(gameService, game, simulation);
+}
+
+function scheduleTimeLimit(gameService, game, delay) {
+  gameService.setGameTimer(game.id, 'game_time', delay, async () => {
+    const current = await gameService.getGame(game.id);
+    if (current && current.status === 'active') await finish(gameService, current, 'time_limit');
+  });
+}
+
+function nearestEnemy(simulation, self, range) {
+  let nearest = null;
+
+  for (const other of Object.values(simulation.state.players)) {
+    if (other.id === self.id || !other.alive) continue;
+    if (self.team !== null && other.team === self.team) continue;
+
+    const distance = Math.hypot(other.x - self.x, other.y - self.y);
+    if (distance <= range && (!nearest || distance < nearest.distance)) nearest = { player: other, distance };
+  }
+
+  return nearest;
+}
+
+async function finish(gameService, game, reason) {
+  const ranks = getSimulation(game).getRanks();
+  const winners = game.players.filter(p => ranks[p.id] === 1);
+  await gameService.endGame(game.id, winners.length === 1 ? winners[0].id : null, reason, ranks);
+}
+
+export default {
+  name: 'fps',
+  playersPerMatch: 10,
+  teamSize: 5,
+  maxPartySize: 5,
+  config: {
+    maxPlayers: 10,
+    teamSize: 5,
+    mapSize: { width: 1000, height: 1000 },
+    gameTime: 600000,
+    tickRate: 20,
+    maxSpeed: 300,
+    killLimit: 50,
+    weaponDamage: 25,
+    respawnDelayMs: 3000,
+    maxRewindMs: 250,
+    obstacles: [
+      { x: 450, y: 150, width: 100, height: 200 },
+      { x: 450, y: 650, width: 100, height: 200 }
+    ]
+  },
+  resultFormats: ['winningTeam', 'teamRanks'],
+  spectatorDelayMs: 30000,
+  // Ten players are hard to gather, so the window doubles quickly and latency weighs more
+  matchmaking: {
+    ratingWindow: { initial: 150, growth: 'exponential', factor: 2, intervalMs: 15000, max: 800 },
+    quality: { rating: 0.4, balance: 0.3, latency: 0.3 },
+    batch: { window: 12 }
+  },
+  // Enemies only show up within view of you or a living teammate
+  visibility: {
+    viewRadius: VIEW_RADIUS,
+    teamVision: true
+  },
+
+  onStart(gameService, game) {
+    const simulation = getSimulation(game);
+    scheduleTick(gameService, game, simulation);
+
+    if (game.config.gameTime) scheduleTimeLimit(gameService, game, game.config.gameTime);
+  },
+
+  onSuspend(gameService, game) {
+    releaseSimulation(game);
+  },
+
+  // Picks up where the previous host stopped; the time spent handing over is not simulated
+  onResume(gameService, game, timers) {
+    const simulation = getSimulation(game);
+    simulation.state.lastStepAt = Date.now();
+    scheduleTick(gameService, game, simulation);
+
+    if (timers.game_time) scheduleTimeLimit(gameService, game, Math.max(0, timers.game_time - Date.now()));
+  },
+
+  onEnd(gameService, game) {
+    releaseSimulation(game);
+  },
+
+  // Bots wander until an enemy is in view, then close in and shoot at it. Their aim is
+  // off by up to 80 units for the least accurate profile.
+  bot: {
+    pace: 'reactionMs',
+    act(game, player, profile) {
+      const simulation = getSimulation(game);
+      const self = simulation.state.players[player.id];
+      if (!self || !self.alive) return null;
+
+      const enemy = nearestEnemy(simulation, self, VIEW_RADIUS);
+      if (!enemy) {
+        if (self.target && Math.hypot(self.target.x - self.x, self.target.y - self.y) > 20) return null;
+
+        const { width, height } = simulation.config.mapSize;
+        return { action: 'position_update', payload: { position: { x: Math.random() * width, y: Math.random() * height } } };
+      }
+
+      const { x, y } = enemy.player;
+      const actions = [{ action: 'position_update', payload: { position: enemy.distance > VIEW_RADIUS / 2 ? { x, y } : { x: self.x, y: self.y } } }];
+
+      if (Date.now() - self.lastShotAt >= simulation.config.fireCooldownMs) {
+        const miss = (1 - profile.accuracy) * 80;
+        actions.push({ action: 'shoot', payload: { target: { x: x + (Math.random() * 2 - 1) * miss, y: y + (Math.random() * 2 - 1) * miss } } });
+      }
+      return actions;
+    }
+  },
+
+  actions: {
+    async position_update(gameService, game, player, payload) {
+      getSimulation(game).setInput(player.id, payload);
+    },
+
+    async shoot(gameService, game, player, payload, context) {
+      const simulation = getSimulation(game);
+      simulation.shoot(player.id, payload, Date.now(), context.latency);
+
+      if (simulation.isOver()) await finish(gameService, game, 'kill_limit');
+    }
+  }
+};
@@ -0,0 +1,13 @@
+export default {
+  name: 'moba',
+  playersPerMatch: 10,
+  teamSize: 5,
+  maxPartySize: 5,
+  config: {
+    maxPlayers: 10,
+    teamSize: 5,
+    gameTime: 1800000
+  },
+  resultFormats: ['winningTeam', 'teamRanks'],
+  spectatorDelayMs: 120000
+};
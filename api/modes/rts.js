@@ -0,0 +1,12 @@
+export default {
+  name: 'rts',
+  playersPerMatch: 2,
+  maxPartySize: 1,
+  config: {
+    maxPlayers: 2,
+    mapSize: '128x128',
+    resources: ['minerals', 'gas']
+  },
+  resultFormats: ['placements'],
+  spectatorDelayMs: 30000
+};
@@ -2,11 +2,30 @@ class MatchmakingClient {
   constructor() {
     this.socket = null;
     this.playerId = null;
+    this.token = null;
     this.currentGameId = null;
+    this.pendingMatchId = null;
     this.inQueue = false;
     this.playerName = null;
     this.gameMode = null;
+    this.snapshots = new Map();
+    this.spectatingGameId = null;
     this.setupEventListeners();
+    this.restoreSession();
+  }
+
+  // Keep the token across page refreshes so the server can resume an in-progress game
+  restoreSession() {
+    const saved = sessionStorage.getItem('session');
+    if (!saved) return;
+
+    try {
+      const { player, token, gameMode } = JSON.parse(saved);
+      this.startSession({ player, token }, gameMode);
+      this.log(`🔑 Restored session for ${player.username}`, 'info');
+    } catch (error) {
+      sessionStorage.removeItem('session');
+    }
   }
 
   setupEventListeners() {
@@ -16,13 +35,19 @@ class MatchmakingClient {
     
     // Player setup
     document.getElementById('createPlayerBtn').addEventListener('click', () => this.createPlayer());
+    document.getElementById('loginBtn').addEventListener('click', () => this.login());
     
     // Queue management
     document.getElementById('joinQueueBtn').addEventListener('click', () => this.joinQueue());
     document.getElementById('leaveQueueBtn').addEventListener('click', () => this.leaveQueue());
+    document.getElementById('acceptMatchBtn').addEventListener('click', () => this.respondToReadyCheck(true));
+    document.getElementById('declineMatchBtn').addEventListener('click', () => this.respondToReadyCheck(false));
     
     // Game actions
     document.getElementById('sendActionBtn').addEventListener('click', () => this.sendTestAction());
+    document.getElementById('spectateBtn').addEventListener('click', () => this.spectate());
+    document.getElementById('stopSpectatingBtn').addEventListener('click', () => this.stopSpectating());
+    document.getElementById('replayBtn').addEventListener('click', () => this.watchReplay());
     
     // Utility
     document.getElementById('clearLogBtn').addEventListener('click', () => this.clearLog());
@@ -34,10 +59,15 @@ class MatchmakingClient {
   }
 
   connect() {
+    if (!this.token) {
+      this.log('❌ Please create a player or log in first', 'error');
+      return;
+    }
+
     this.log('🔄 Connecting to server...', 'info');
     
     try {
-      this.socket = io();
+      this.socket = io({ auth: { token: this.token } });
 
       this.socket.on('connect', () => {
         this.log('✅ Connected to server successfully', 'success');
@@ -48,6 +78,17 @@ class MatchmakingClient {
         this.log(`❌ Disconnected from server: ${reason}`, 'error');
         this.updateConnectionStatus('disconnected');
         this.resetGameState();
+
+        // Socket.IO does not reconnect on its own after a server-side disconnect
+        if (this.drainReconnectIn !== undefined && reason === 'io server disconnect') {
+          setTimeout(() => this.socket.connect(), this.drainReconnectIn);
+          this.drainReconnectIn = undefined;
+        }
+      });
+
+      this.socket.on('server_draining', (data) => {
+        this.log(`🔁 ${data.message}`, 'warning');
+        this.drainReconnectIn = data.reconnectIn;
       });
 
       this.socket.on('connect_error', (error) => {
@@ -67,20 +108,95 @@ class MatchmakingClient {
         this.updateQueueStatus('idle');
       });
 
+      this.socket.on('match_ready_check', (data) => {
+        const seconds = Math.round((data.expiresAt - Date.now()) / 1000);
+        this.log(`⏳ Match ready! Accept within ${seconds}s`, 'warning');
+        this.pendingMatchId = data.matchId;
+        document.getElementById('readyCheck').style.display = 'flex';
+      });
+
+      this.socket.on('ready_check_update', (data) => {
+        this.log(`✅ ${data.accepted}/${data.total} players accepted`, 'info');
+      });
+
+      this.socket.on('match_ready_check_failed', (data) => {
+        this.hideReadyCheck();
+        if (data.penaltyEndsAt) {
+          this.log('🚫 Match declined, queue penalty applied', 'error');
+          this.inQueue = false;
+          this.updateQueueStatus('idle');
+        } else if (data.requeued && (data.reason === 'declined' || data.reason === 'timeout')) {
+          this.log('🔁 Someone did not accept, back in the queue', 'warning');
+        } else if (data.requeued) {
+          this.log('🔁 Match cancelled by the server, back in the queue', 'warning');
+        } else {
+          this.log('📤 Ready check failed, removed from queue', 'warning');
+          this.inQueue = false;
+          this.updateQueueStatus('idle');
+        }
+      });
+
       this.socket.on('match_found', (data) => {
+        this.hideReadyCheck();
         this.log(`🎉 Match found! Game ID: ${data.gameId}`, 'success');
-        this.log(`👥 Players: ${data.players.map(p => p.username).join(', ')}`, 'info');
+        this.log(`👥 Players: ${data.players.map(p => (p.isBot ? `🤖 ${p.username}` : p.username)).join(', ')}`, 'info');
+        if (!data.rated) this.log('ℹ️ Unrated match: ratings will not change', 'info');
+        if (data.region) {
+          const latency = data.latency && data.latency.average !== null ? ` (~${data.latency.average}ms)` : '';
+          this.log(`🌍 Region: ${data.region}${latency}`, 'info');
+        }
         this.currentGameId = data.gameId;
         document.getElementById('gameId').value = data.gameId;
         this.inQueue = false;
         this.updateQueueStatus('in-game');
       });
 
+      this.socket.on('game_resumed', (game) => {
+        this.log(`🔁 Rejoined game in progress: ${game.id}`, 'success');
+        this.currentGameId = game.id;
+        document.getElementById('gameId').value = game.id;
+        this.inQueue = false;
+        this.updateQueueStatus('in-game');
+      });
+
+      this.socket.on('latency_ping', (sentAt) => {
+        this.socket.emit('latency_pong', sentAt);
+      });
+
       this.socket.on('game_update', (data) => {
         this.log(`🎮 Game update received`, 'info');
         this.log(`📊 Data: ${JSON.stringify(data, null, 2)}`, 'data');
       });
 
+      this.socket.on('game_snapshot', (snapshot) => {
+        this.handleSnapshot(snapshot);
+      });
+
+      this.socket.on('spectate_joined', ({ gameId, game }) => {
+        this.spectatingGameId = gameId;
+        this.snapshots.clear();
+        document.getElementById('stopSpectatingBtn').disabled = false;
+        this.log(`👀 Spectating ${game.gameMode} game ${gameId} (${game.spectatorDelayMs / 1000}s delay)`, 'success');
+      });
+
+      this.socket.on('replay_loaded', (replay) => {
+        this.log(`📼 Replay of ${replay.gameMode} game ${replay.gameId}: ${Math.round(replay.duration / 1000)}s, ${replay.eventCount} events`, 'success');
+      });
+
+      this.socket.on('replay_event', ({ t, type, data }) => {
+        if (type !== 'snapshot') this.log(`📼 ${(t / 1000).toFixed(1)}s ${type}: ${JSON.stringify(data)}`, 'data');
+      });
+
+      this.socket.on('replay_status', (status) => {
+        if (status.ended) this.log('📼 Replay finished', 'info');
+      });
+
+      this.socket.on('spectate_left', ({ gameId }) => {
+        this.spectatingGameId = null;
+        document.getElementById('stopSpectatingBtn').disabled = true;
+        this.log(`🚪 Stopped spectating ${gameId}`, 'info');
+      });
+
       this.socket.on('player_joined', (data) => {
         this.log(`👤 Player joined: ${data.username}`, 'info');
       });
@@ -107,63 +223,94 @@ class MatchmakingClient {
     }
   }
 
-  async createPlayer() {
+  getCredentials() {
     const playerName = document.getElementById('playerName').value.trim();
-    const gameMode = document.getElementById('gameMode').value;
+    const password = document.getElementById('playerPassword').value;
 
     if (!playerName) {
       this.log('❌ Please enter a valid player name', 'error');
-      return;
+      return null;
     }
 
     if (playerName.length < 2) {
       this.log('❌ Player name must be at least 2 characters long', 'error');
-      return;
+      return null;
+    }
+
+    if (password.length < 8) {
+      this.log('❌ Password must be at least 8 characters long', 'error');
+      return null;
     }
 
+    return { username: playerName, password };
+  }
+
+  async createPlayer() {
+    const credentials = this.getCredentials();
+    if (!credentials) return;
+
+    const gameMode = document.getElementById('gameMode').value;
     this.log('🔄 Creating player profile...', 'info');
 
     try {
-      const response = await fetch('/api/players', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ 
-          username: playerName, 
-          gameMode,
-          preferences: {
-            region: 'us-east',
-            skillLevel: 'intermediate'
-          }
-        })
-      });
+      const session = await this.authRequest('/api/auth/register', { ...credentials, gameMode });
+      this.startSession(session, gameMode);
+      this.log(`👤 Player created successfully: ${session.player.username}`, 'success');
+    } catch (error) {
+      this.log(`❌ Failed to create player: ${error.message}`, 'error');
+    }
+  }
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+  async login() {
+    const credentials = this.getCredentials();
+    if (!credentials) return;
+
+    this.log('🔄 Logging in...', 'info');
 
-      const player = await response.json();
-      this.playerId = player.id;
-      this.playerName = player.username;
-      this.gameMode = gameMode;
-
-      this.log(`👤 Player created successfully: ${player.username}`, 'success');
-      this.log(`🆔 Player ID: ${player.id}`, 'info');
-      
-      // Show player info
-      document.getElementById('playerId').textContent = player.id;
-      document.getElementById('playerInfo').style.display = 'block';
-      
-      // Enable queue button
-      document.getElementById('joinQueueBtn').disabled = false;
-      
+    try {
+      const session = await this.authRequest('/api/auth/login', credentials);
+      this.startSession(session, document.getElementById('gameMode').value);
+      this.log(`🔑 Logged in as ${session.player.username}`, 'success');
     } catch (error) {
-      this.log(`❌ Failed to create player: ${error.message}`, 'error');
+      this.log(`❌ Failed to log in: ${error.message}`, 'error');
     }
   }
 
-  joinQueue() {
+  async authRequest(url, body) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return data;
+  }
+
+  startSession({ player, token }, gameMode) {
+    this.playerId = player.id;
+    this.playerName = player.username;
+    this.token = token;
+    this.gameMode = gameMode;
+    sessionStorage.setItem('session', JSON.stringify({ player, token, gameMode }));
+
+    this.log(`🆔 Player ID: ${player.id}`, 'info');
+
+    // Show player info
+    document.getElementById('playerId').textContent = player.id;
+    document.getElementById('playerInfo').style.display = 'block';
+
+    // Enable queue button
+    document.getElementById('joinQueueBtn').disabled = false;
+  }
+
+  async joinQueue() {
     if (!this.socket) {
       this.log('❌ Not connected to server', 'error');
       return;
@@ -177,17 +324,47 @@ class MatchmakingClient {
     const gameMode = document.getElementById('gameMode').value;
     this.log(`🔄 Joining ${gameMode.toUpperCase()} matchmaking queue...`, 'info');
 
+    const latencies = await this.measureRegionLatencies();
+    if (Object.keys(latencies).length > 0) {
+      this.log(`📶 Region latencies: ${Object.entries(latencies).map(([region, ms]) => `${region} ${ms}ms`).join(', ')}`, 'info');
+    }
+
     this.socket.emit('join_queue', {
-      playerId: this.playerId,
       gameMode,
-      preferences: { 
-        region: 'us-east',
+      preferences: {
+        latencies,
         maxLatency: 100,
         skillLevel: 'intermediate'
       }
     });
   }
 
+  // Best of three round trips to every region that publishes a ping URL.
+  // The server measures the region it runs in itself.
+  async measureRegionLatencies() {
+    const latencies = {};
+
+    try {
+      const response = await fetch('/api/regions', { headers: { Authorization: `Bearer ${this.token}` } });
+      if (!response.ok) return latencies;
+
+      const { regions } = await response.json();
+      for (const region of regions.filter(r => r.pingUrl)) {
+        const samples = [];
+        for (let i = 0; i < 3; i++) {
+          const startedAt = performance.now();
+          await fetch(region.pingUrl, { mode: 'no-cors', cache: 'no-store' });
+          samples.push(performance.now() - startedAt);
+        }
+        latencies[region.name] = Math.round(Math.min(...samples));
+      }
+    } catch (error) {
+      this.log(`⚠️ Could not measure region latencies: ${error.message}`, 'warning');
+    }
+
+    return latencies;
+  }
+
   leaveQueue() {
     if (!this.socket) {
       this.log('❌ Not connected to server', 'error');
@@ -202,10 +379,7 @@ class MatchmakingClient {
     const gameMode = document.getElementById('gameMode').value;
     this.log('🔄 Leaving matchmaking queue...', 'info');
 
-    this.socket.emit('leave_queue', {
-      playerId: this.playerId,
-      gameMode
-    });
+    this.socket.emit('leave_queue', { gameMode });
   }
 
   sendTestAction() {
@@ -222,7 +396,6 @@ class MatchmakingClient {
     const gameId = document.getElementById('gameId').value || this.currentGameId;
     const testAction = {
       gameId,
-      playerId: this.playerId,
       action: 'position_update',
       payload: {
         position: { 
@@ -239,6 +412,80 @@ class MatchmakingClient {
     this.log(`📊 Action data: ${JSON.stringify(testAction.payload, null, 2)}`, 'data');
   }
 
+  spectate() {
+    const gameId = document.getElementById('spectateGameId').value.trim();
+    if (!this.socket || !gameId) {
+      this.log('❌ Connect and enter a game ID to spectate', 'error');
+      return;
+    }
+
+    this.socket.emit('spectate_join', { gameId });
+  }
+
+  watchReplay() {
+    const gameId = document.getElementById('spectateGameId').value.trim() || this.currentGameId;
+    if (!this.socket || !gameId) {
+      this.log('❌ Connect and enter a game ID to replay', 'error');
+      return;
+    }
+
+    this.socket.emit('replay_start', { gameId, speed: 4 });
+  }
+
+  stopSpectating() {
+    if (!this.socket || !this.spectatingGameId) return;
+    this.socket.emit('spectate_leave', { gameId: this.spectatingGameId });
+  }
+
+  // Rebuild state from the delta, keep it for future deltas and acknowledge it
+  handleSnapshot(snapshot) {
+    const base = snapshot.full ? null : this.snapshots.get(snapshot.baseTick);
+
+    // The spectator stream is shared, so spectators wait for the next keyframe instead of acking
+    if (!snapshot.full && !base) {
+      if (!snapshot.spectator) this.socket.emit('snapshot_resync', { gameId: snapshot.gameId });
+      return;
+    }
+
+    const entities = {};
+    if (base) {
+      Object.entries(base.entities).forEach(([id, entity]) => {
+        if (!snapshot.removed.includes(id)) entities[id] = { ...entity };
+      });
+    }
+    Object.entries(snapshot.changed).forEach(([id, fields]) => {
+      entities[id] = { ...entities[id], ...fields };
+    });
+
+    const state = { entities, meta: { ...(base ? base.meta : {}), ...snapshot.meta } };
+    this.snapshots.set(snapshot.tick, state);
+    for (const tick of this.snapshots.keys()) {
+      if (tick < snapshot.tick - 64) this.snapshots.delete(tick);
+    }
+
+    if (!snapshot.spectator) {
+      this.socket.emit('snapshot_ack', { gameId: snapshot.gameId, tick: snapshot.tick });
+    }
+
+    // Ticks arrive many times a second; only log the ones carrying events
+    if (snapshot.events.length > 0) {
+      this.log(`🎯 Tick ${snapshot.tick}: ${JSON.stringify(snapshot.events)}`, 'data');
+    }
+  }
+
+  respondToReadyCheck(accepted) {
+    if (!this.socket || !this.pendingMatchId) return;
+
+    this.socket.emit(accepted ? 'match_accept' : 'match_decline', { matchId: this.pendingMatchId });
+    this.log(accepted ? '👍 Match accepted' : '👎 Match declined', 'info');
+    this.hideReadyCheck();
+  }
+
+  hideReadyCheck() {
+    this.pendingMatchId = null;
+    document.getElementById('readyCheck').style.display = 'none';
+  }
+
   updateConnectionStatus(status) {
     const statusEl = document.getElementById('connectionStatus');
     statusEl.className = `status-indicator ${status}`;
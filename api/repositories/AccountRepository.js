@@ -0,0 +1,22 @@
+// Durable storage for login accounts, looked up by username (case-insensitive). Redis only
+// caches what a repository holds, so losing Redis must never lose an account.
+class AccountRepository {
+  normalize(username) {
+    return String(username).trim().toLowerCase();
+  }
+
+  async get(username) {
+    throw new Error('AccountRepository.get is not implemented');
+  }
+
+  // Stores a new account, or returns false without touching anything when the name is taken
+  async create(account) {
+    throw new Error('AccountRepository.create is not implemented');
+  }
+
+  async delete(username) {
+    throw new Error('AccountRepository.delete is not implemented');
+  }
+}
+
+export default AccountRepository;
@@ -0,0 +1,58 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import AccountRepository from './AccountRepository.js';
+
+// One JSON file per account, named by a hash of the username so any name is a safe file name.
+// Accounts are never overwritten, so two nodes sharing the directory cannot both take a name.
+class FileAccountRepository extends AccountRepository {
+  constructor(directory = process.env.ACCOUNT_STORE_DIR || './data/accounts') {
+    super();
+    this.directory = path.resolve(directory);
+    this.ready = null;
+  }
+
+  async init() {
+    if (!this.ready) this.ready = fs.mkdir(this.directory, { recursive: true });
+    await this.ready;
+  }
+
+  filePath(username) {
+    const name = crypto.createHash('sha256').update(this.normalize(username)).digest('hex');
+    return path.join(this.directory, `${name}.json`);
+  }
+
+  async get(username) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(username), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async create(account) {
+    await this.init();
+
+    // Written aside and then hard-linked into place, which fails if the name already exists
+    const target = this.filePath(account.username);
+    const temp = `${target}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(account));
+
+    try {
+      await fs.link(temp, target);
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    } finally {
+      await fs.rm(temp, { force: true });
+    }
+  }
+
+  async delete(username) {
+    await fs.rm(this.filePath(username), { force: true });
+  }
+}
+
+export default FileAccountRepository;
@@ -0,0 +1,49 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import PlayerRepository from './PlayerRepository.js';
+
+// One JSON file per player; writes go to a temp file first so a crash never leaves half a record
+class FilePlayerRepository extends PlayerRepository {
+  constructor(directory = process.env.PLAYER_STORE_DIR || './data/players') {
+    super();
+    this.directory = path.resolve(directory);
+    this.ready = null;
+  }
+
+  async init() {
+    if (!this.ready) this.ready = fs.mkdir(this.directory, { recursive: true });
+    await this.ready;
+  }
+
+  filePath(playerId) {
+    if (typeof playerId !== 'string' || !/^[\w-]+$/.test(playerId)) {
+      throw new Error('Invalid player id');
+    }
+    return path.join(this.directory, `${playerId}.json`);
+  }
+
+  async get(playerId) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(playerId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.message === 'Invalid player id') return null;
+      throw error;
+    }
+  }
+
+  async save(player) {
+    await this.init();
+
+    const target = this.filePath(player.id);
+    const temp = `${target}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(player));
+    await fs.rename(temp, target);
+  }
+
+  async delete(playerId) {
+    await fs.rm(this.filePath(playerId), { force: true });
+  }
+}
+
+export default FilePlayerRepository;
@@ -0,0 +1,25 @@
+// Durable storage for player records. Redis only caches what a repository holds,
+// so every implementation must survive restarts and never expire players.
+class PlayerRepository {
+  async get(playerId) {
+    throw new Error('PlayerRepository.get is not implemented');
+  }
+
+  async getMany(playerIds) {
+    return Promise.all(playerIds.map(id => this.get(id)));
+  }
+
+  async save(player) {
+    throw new Error('PlayerRepository.save is not implemented');
+  }
+
+  async delete(playerId) {
+    throw new Error('PlayerRepository.delete is not implemented');
+  }
+
+  async exists(playerId) {
+    return (await this.get(playerId)) !== null;
+  }
+}
+
+export default PlayerRepository;
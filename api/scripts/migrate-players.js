@@ -0,0 +1,70 @@
+import 'dotenv/config';
+import RedisClient from '../config/redis.js';
+import FilePlayerRepository from '../repositories/FilePlayerRepository.js';
+import FileAccountRepository from '../repositories/FileAccountRepository.js';
+
+// Copies player records and login accounts that so far only lived in Redis into the durable
+// stores. Safe to re-run: a stored player is only replaced by a more recently active one,
+// and a stored account is never replaced.
+const PLAYER_KEY = /^player:[\w-]+$/;
+
+async function migratePlayers() {
+  const repository = new FilePlayerRepository();
+  await RedisClient.init();
+
+  const keys = (await RedisClient.scanKeys('player:*')).filter(key => PLAYER_KEY.test(key));
+  const counts = { migrated: 0, skipped: 0, failed: 0 };
+
+  for (const key of keys) {
+    try {
+      const data = await RedisClient.get(key);
+      if (!data) continue;
+
+      const player = JSON.parse(data);
+      const stored = await repository.get(player.id);
+
+      if (stored && (stored.lastActive || 0) >= (player.lastActive || 0)) {
+        counts.skipped++;
+        continue;
+      }
+
+      await repository.save(player);
+      counts.migrated++;
+    } catch (error) {
+      counts.failed++;
+      console.error(`❌ Failed to migrate ${key}:`, error.message);
+    }
+  }
+
+  console.log(`✅ Player migration done: ${counts.migrated} migrated, ${counts.skipped} already stored, ${counts.failed} failed (of ${keys.length})`);
+  await migrateAccounts();
+  await RedisClient.disconnect();
+  return counts;
+}
+
+async function migrateAccounts() {
+  const repository = new FileAccountRepository();
+  const keys = await RedisClient.scanKeys('account:*');
+  const counts = { migrated: 0, skipped: 0, failed: 0 };
+
+  for (const key of keys) {
+    try {
+      const data = await RedisClient.get(key);
+      if (!data) continue;
+
+      if (await repository.create(JSON.parse(data))) counts.migrated++;
+      else counts.skipped++;
+    } catch (error) {
+      counts.failed++;
+      console.error(`❌ Failed to migrate ${key}:`, error.message);
+    }
+  }
+
+  console.log(`✅ Account migration done: ${counts.migrated} migrated, ${counts.skipped} already stored, ${counts.failed} failed (of ${keys.length})`);
+}
+
+migratePlayers().catch(async (error) => {
+  console.error('❌ Player migration failed:', error);
+  await RedisClient.disconnect();
+  process.exit(1);
+});
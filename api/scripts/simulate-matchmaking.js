@@ -0,0 +1,38 @@
+import GameModeRegistry from '../modes/GameModeRegistry.js';
+import MatchmakingService from '../services/MatchmakingService.js';
+import QueueSimulator from '../utils/QueueSimulator.js';
+
+// Replays the same synthetic queue through the optimal and the greedy matcher and prints
+// both reports. Usage: npm run simulate:matchmaking -- --mode chess --seed 7 --minutes 10 --arrivals 1.5
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+}
+
+async function simulate() {
+  const args = parseArgs(process.argv.slice(2));
+  await GameModeRegistry.load();
+
+  const gameMode = args.mode || 'chess';
+  const options = {
+    seed: parseInt(args.seed) || 1,
+    durationMs: (parseFloat(args.minutes) || 10) * 60000,
+    arrivalsPerTick: parseFloat(args.arrivals) || 1,
+    partyChance: parseFloat(args.parties) || 0,
+    preferences: gameMode === 'chess' ? { timeControl: ['5+0', '10+0'] } : {}
+  };
+
+  for (const strategy of ['optimal', 'greedy']) {
+    const matchmakingService = new MatchmakingService();
+    matchmakingService.applyPolicyOverride(gameMode, { batch: { strategy } });
+    console.log(JSON.stringify(QueueSimulator.run(matchmakingService, gameMode, options), null, 2));
+  }
+}
+
+simulate().then(() => process.exit(0)).catch((error) => {
+  console.error('❌ Matchmaking simulation failed:', error);
+  process.exit(1);
+});
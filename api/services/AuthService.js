@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import RedisClient from '../config/redis.js';
+import PlayerService from './PlayerService.js';
+import FileAccountRepository from '../repositories/FileAccountRepository.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// Accounts live in the repository; Redis caches them and arbitrates concurrent registrations
+class AuthService {
+  constructor(accounts = new FileAccountRepository(), playerService = new PlayerService()) {
+    this.accounts = accounts;
+    this.playerService = playerService;
+    this.tokenExpiry = process.env.JWT_EXPIRES_IN || '12h';
+    this.saltRounds = 10;
+    this.secret = process.env.JWT_SECRET;
+
+    if (!this.secret) {
+      // Tokens signed with a throwaway secret stop working when the process restarts
+      console.warn('⚠️ JWT_SECRET is not set, using a random secret for this process');
+      this.secret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+
+  validateCredentials(username, password) {
+    if (typeof username !== 'string' || username.trim().length < 2 || username.trim().length > 32) {
+      throw new Error('Username must be between 2 and 32 characters');
+    }
+
+    if (typeof password !== 'string' || password.length < 8) {
+      throw new Error('Password must be at least 8 characters');
+    }
+  }
+
+  accountKey(username) {
+    return `account:${username.trim().toLowerCase()}`;
+  }
+
+  async register(username, password, gameMode) {
+    this.validateCredentials(username, password);
+
+    const key = this.accountKey(username);
+    const account = {
+      playerId: uuidv4(),
+      username: username.trim(),
+      passwordHash: await bcrypt.hash(password, this.saltRounds),
+      createdAt: Date.now()
+    };
+
+    // Claiming the name is a single SET NX, so only one of two racing registrations gets it.
+    // The repository has the final say, since Redis may have lost accounts it still holds.
+    if (!(await RedisClient.setNx(key, JSON.stringify(account)))) throw new Error('Username is already taken');
+
+    let created = false;
+    try {
+      created = await this.accounts.create(account);
+    } finally {
+      if (!created) await RedisClient.del(key);
+    }
+    if (!created) throw new Error('Username is already taken');
+
+    let player;
+    try {
+      player = await this.playerService.createPlayer(account.username, gameMode, account.playerId);
+    } catch (error) {
+      await this.accounts.delete(account.username);
+      await RedisClient.del(key);
+      throw error;
+    }
+
+    return { player, token: this.issueToken(player.id, player.username) };
+  }
+
+  async login(username, password) {
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      throw new Error('Invalid username or password');
+    }
+
+    const account = await this.getAccount(username);
+
+    if (!account || !(await bcrypt.compare(password, account.passwordHash))) {
+      throw new Error('Invalid username or password');
+    }
+
+    const player = await this.playerService.getPlayer(account.playerId);
+    if (!player) throw new Error('Player not found');
+
+    return { player, token: this.issueToken(account.playerId, account.username) };
+  }
+
+  async getAccount(username) {
+    const key = this.accountKey(username);
+    const accountData = await RedisClient.get(key);
+    if (accountData) return JSON.parse(accountData);
+
+    const account = await this.accounts.get(username);
+    if (account) await RedisClient.set(key, JSON.stringify(account));
+    return account;
+  }
+
+  issueToken(playerId, username) {
+    return jwt.sign({ sub: playerId, username }, this.secret, { expiresIn: this.tokenExpiry });
+  }
+
+  verifyToken(token) {
+    const payload = jwt.verify(token, this.secret);
+    return { playerId: payload.sub, username: payload.username };
+  }
+}
+
+export default AuthService;
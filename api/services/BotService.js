@@ -0,0 +1,67 @@
+import BotProfiles from '../utils/BotProfiles.js';
+import GameModeRegistry from '../modes/GameModeRegistry.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// Bots fill matches that humans could not. They play on the game's host through the same
+// handleGameAction path as everyone else, paced by game timers so they move with the game
+// on a handoff. What a bot does is up to its mode's `bot.act`.
+class BotService {
+  constructor(gameService) {
+    this.gameService = gameService;
+  }
+
+  // A queue entry for a bot of the profile closest to `rating`
+  createBot(gameMode, rating, now = Date.now()) {
+    const profile = BotProfiles.forRating(rating);
+    const id = `bot-${uuidv4().slice(0, 8)}`;
+
+    return {
+      id,
+      username: `${profile.name} Bot ${id.slice(4, 8)}`,
+      rating: profile.rating,
+      deviation: 0,
+      tier: profile.name,
+      isBot: true,
+      botProfile: profile.name,
+      preferences: {},
+      socketId: null,
+      joinedAt: now
+    };
+  }
+
+  // Starts every bot of an active game, e.g. when it goes live or moves to this node
+  start(game) {
+    const { bot } = GameModeRegistry.get(game.gameMode);
+    if (!bot || game.status !== 'active') return;
+
+    game.players.filter(p => p.isBot).forEach(player => this.schedule(game.id, player, bot));
+  }
+
+  schedule(gameId, player, bot) {
+    const delay = BotProfiles.delay(BotProfiles.get(player.botProfile), bot.pace || 'thinkMs');
+    this.gameService.setGameTimer(gameId, `bot:${player.id}`, delay, () => this.act(gameId, player.id));
+  }
+
+  async act(gameId, botId) {
+    const game = await this.gameService.getGame(gameId);
+    if (!game || game.status !== 'active') return;
+
+    const player = game.players.find(p => p.id === botId);
+    const { bot } = GameModeRegistry.get(game.gameMode);
+    if (!player || !bot) return;
+
+    const decision = bot.act(game, player, BotProfiles.get(player.botProfile));
+    for (const { action, payload } of [].concat(decision || [])) {
+      try {
+        await this.gameService.handleGameAction(gameId, botId, action, payload, { latency: 0 });
+      } catch (error) {
+        console.error(`Bot ${botId} ${action} failed in ${gameId}:`, error.message);
+      }
+    }
+
+    const current = await this.gameService.getGame(gameId);
+    if (current && current.status === 'active') this.schedule(gameId, player, bot);
+  }
+}
+
+export default BotService;
@@ -0,0 +1,54 @@
+import os from 'os';
+import RedisClient from '../config/redis.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// One id per process, shared by every service instance in it
+const NODE_ID = process.env.NODE_ID || `${os.hostname()}-${process.pid}-${uuidv4().slice(0, 8)}`;
+
+// Takes the lease if it is free, or extends it if this node already holds it
+const ACQUIRE = `
+local holder = redis.call('GET', KEYS[1])
+if holder == ARGV[1] then
+  redis.call('PEXPIRE', KEYS[1], ARGV[2])
+  return 1
+end
+if holder then return 0 end
+redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+return 1
+`;
+
+const RELEASE = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end
+return 0
+`;
+
+// Leases are Redis keys holding the id of the node that owns something (the matchmaker
+// for a mode, the host of a game). They expire unless renewed, so a node that dies
+// hands its work to whichever node asks next.
+class ClusterService {
+  constructor() {
+    this.nodeId = NODE_ID;
+  }
+
+  leaseKey(name) {
+    return `lease:${name}`;
+  }
+
+  async acquireLease(name, ttlMs) {
+    return (await RedisClient.evalScript(ACQUIRE, [this.leaseKey(name)], [this.nodeId, ttlMs])) === 1;
+  }
+
+  async releaseLease(name) {
+    return (await RedisClient.evalScript(RELEASE, [this.leaseKey(name)], [this.nodeId])) === 1;
+  }
+
+  async getLeaseHolder(name) {
+    return RedisClient.get(this.leaseKey(name));
+  }
+
+  isLocal(nodeId) {
+    return nodeId === this.nodeId;
+  }
+}
+
+export default ClusterService;
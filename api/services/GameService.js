@@ -1,197 +1,730 @@
 import EventEmitter from 'events';
 import RedisClient from '../config/redis.js';
 import PlayerService from './PlayerService.js';
+import ReplayService from './ReplayService.js';
+import ClusterService from './ClusterService.js';
+import BotService from './BotService.js';
+import MultiplayerRating from '../utils/MultiplayerRating.js';
+import SnapshotBuffer from '../utils/SnapshotBuffer.js';
+import InterestManager from '../utils/InterestManager.js';
+import GameModeRegistry from '../modes/GameModeRegistry.js';
+
+const SPECTATORS = 'spectators';
+const REPLAY = 'replay';
+// Unfinished games of every node, so games whose host went away can be found and taken over
+const ACTIVE_GAMES = 'games:active';
 
 class GameService extends EventEmitter {
   constructor() {
     super();
     this.playerService = new PlayerService();
+    this.replayService = new ReplayService();
+    this.cluster = new ClusterService();
+    this.botService = new BotService(this);
+    // Only games hosted on this node: their in-memory state and timers live here
     this.activeGames = new Map();
+    this.gameTimers = new Map();
+    this.snapshots = new Map();
+    this.snapshotBufferSize = parseInt(process.env.SNAPSHOT_BUFFER_TICKS) || 32;
+    // Unset means each mode's own spectatorDelayMs applies
+    this.spectatorDelayOverride = parseInt(process.env.SPECTATOR_DELAY_MS);
+    this.keyframeTicks = parseInt(process.env.SNAPSHOT_KEYFRAME_TICKS) || 20;
+    // Replays keep every few ticks (5 per second at 20 Hz) with a keyframe every few seconds
+    this.replaySnapshotTicks = parseInt(process.env.REPLAY_SNAPSHOT_TICKS) || 4;
+    this.replayKeyframeTicks = this.replaySnapshotTicks * (parseInt(process.env.REPLAY_KEYFRAME_SNAPSHOTS) || 25);
+    this.replayEvents = new Map();
+
+    // Everything broadcast about a game also goes into its replay
+    this.on('game_update', (gameId, update) => this.recordReplay(gameId, 'update', update));
+    this.on('player_left', (gameId, data) => this.recordReplay(gameId, 'player_left', data));
+    this.on('player_joined', (gameId, data) => this.recordReplay(gameId, 'player_joined', data));
+    this.reconnectGracePeriod = parseInt(process.env.RECONNECT_GRACE_PERIOD_MS) || 60000;
+    this.startDelay = parseInt(process.env.GAME_START_DELAY_MS) || 5000;
+    this.leaderboardTopN = parseInt(process.env.LEADERBOARD_LIVE_TOP_N) || 100;
+    this.ownershipTTL = parseInt(process.env.GAME_OWNER_TTL_MS) || 15000;
   }
 
-  async createGame(gameId, players, gameMode) {
+  async createGame(gameId, players, gameMode, teams = null, { region = null, latency = null, quality = null, expansionLevel = null } = {}) {
     const game = {
       id: gameId,
       players: players.map(p => ({
         id: p.id,
         username: p.username,
         rating: p.rating,
-        socketId: p.socketId
+        deviation: p.deviation ?? null,
+        socketId: p.socketId,
+        partyId: p.partyId || null,
+        team: teams ? teams.findIndex(t => t.players.includes(p.id)) : null,
+        isBot: Boolean(p.isBot),
+        botProfile: p.botProfile || null,
+        connected: true,
+        abandoned: false
       })),
+      teams,
       gameMode,
+      // Ratings only move in games between people
+      rated: GameModeRegistry.get(gameMode).rated && !players.some(p => p.isBot),
+      region,
+      latency,
+      quality,
+      expansionLevel,
+      spectators: [],
+      spectatorCount: 0,
       status: 'starting',
       createdAt: Date.now(),
-      config: this.getGameConfig(gameMode)
+      config: this.getGameConfig(gameMode),
+      timers: {}
     };
 
-    await RedisClient.setEx(`game:${gameId}`, 7200, JSON.stringify(game));
+    await this.cluster.acquireLease(this.ownerLease(gameId), this.ownershipTTL);
     this.activeGames.set(gameId, game);
+    this.setGameTimer(gameId, 'start', this.startDelay, () => this.startGame(gameId));
+    await RedisClient.setEx(`game:${gameId}`, 7200, JSON.stringify(game));
+    await RedisClient.sAdd(ACTIVE_GAMES, gameId);
 
-    setTimeout(() => {
-      this.startGame(gameId);
-    }, 5000);
+    await this.replayService.start(gameId, {
+      gameMode,
+      players: game.players.map(({ id, username, rating, team }) => ({ id, username, rating, team })),
+      teams,
+      config: game.config
+    });
+
+    for (const player of game.players.filter(p => !p.isBot)) {
+      await RedisClient.setEx(`player:${player.id}:game`, 7200, gameId);
+    }
 
     return game;
   }
 
+  // Games hosted elsewhere are read from Redis but never cached, since their host keeps changing them
   async getGame(gameId) {
     if (this.activeGames.has(gameId)) {
       return this.activeGames.get(gameId);
     }
 
     const gameData = await RedisClient.get(`game:${gameId}`);
-    if (gameData) {
-      const game = JSON.parse(gameData);
-      this.activeGames.set(gameId, game);
-      return game;
+    return gameData ? JSON.parse(gameData) : null;
+  }
+
+  async getPlayerGameId(playerId) {
+    return RedisClient.get(`player:${playerId}:game`);
+  }
+
+  async getActiveGameForPlayer(playerId) {
+    const gameId = await this.getPlayerGameId(playerId);
+    if (!gameId) return null;
+
+    const game = await this.getGame(gameId);
+    return game && game.status !== 'finished' ? game : null;
+  }
+
+  ownerLease(gameId) {
+    return `game:${gameId}`;
+  }
+
+  // The node hosting a game, taking it over when its previous host's lease has lapsed.
+  // Null for games that no longer exist.
+  async resolveOwner(gameId) {
+    const lease = this.ownerLease(gameId);
+    const owner = await this.cluster.getLeaseHolder(lease);
+
+    if (owner && !this.cluster.isLocal(owner)) return owner;
+    if (!owner && !(await RedisClient.exists(`game:${gameId}`))) return null;
+
+    if (!(await this.cluster.acquireLease(lease, this.ownershipTTL))) {
+      return this.cluster.getLeaseHolder(lease);
     }
 
-    return null;
+    if (!this.activeGames.has(gameId)) await this.adoptGame(gameId);
+    return this.cluster.nodeId;
   }
 
-  async startGame(gameId) {
+  async adoptGame(gameId) {
     const game = await this.getGame(gameId);
+    if (!game || game.status === 'finished') return game;
+
+    this.activeGames.set(gameId, game);
+    await this.resumeTimers(game);
+    console.log(`Node ${this.cluster.nodeId} took over game ${gameId}`);
+    return game;
+  }
+
+  // Restarts the timers the previous host recorded on the game; modes restart their own in onResume
+  async resumeTimers(game) {
+    const timers = game.timers || {};
+    game.timers = {};
+    if (game.status === 'finished') return;
+
+    for (const [name, firesAt] of Object.entries(timers)) {
+      const delay = Math.max(0, firesAt - Date.now());
+
+      if (name === 'start') {
+        this.setGameTimer(game.id, name, delay, () => this.startGame(game.id));
+      } else if (name.startsWith('reconnect:')) {
+        const playerId = name.slice('reconnect:'.length);
+        this.setGameTimer(game.id, name, delay, () => this.abandonPlayer(game.id, playerId));
+      }
+    }
+
+    const mode = GameModeRegistry.get(game.gameMode);
+    if (game.status === 'active' && mode.onResume) await mode.onResume(this, game, timers);
+    this.botService.start(game);
+  }
+
+  // Keeps this node's games leased to it and picks up games nobody hosts any more.
+  // A game whose lease was lost has a new host and is dropped here.
+  startOwnershipHeartbeat() {
+    this.ownershipInterval = setInterval(() => this.renewOwnership(), Math.floor(this.ownershipTTL / 3));
+  }
+
+  async renewOwnership() {
+    for (const gameId of [...this.activeGames.keys()]) {
+      try {
+        if (!(await this.cluster.acquireLease(this.ownerLease(gameId), this.ownershipTTL))) {
+          this.dropGame(gameId);
+          console.warn(`Game ${gameId} is now hosted by another node`);
+        }
+      } catch (error) {
+        console.error(`Ownership renewal failed for ${gameId}:`, error.message);
+      }
+    }
+
+    await this.adoptOrphanedGames().catch(error => {
+      console.error('Adopting orphaned games failed:', error.message);
+    });
+  }
+
+  stopOwnershipHeartbeat() {
+    clearInterval(this.ownershipInterval);
+  }
+
+  async adoptOrphanedGames() {
+    for (const gameId of await RedisClient.sMembers(ACTIVE_GAMES)) {
+      if (this.activeGames.has(gameId) || await this.cluster.getLeaseHolder(this.ownerLease(gameId))) continue;
+
+      if (!(await this.resolveOwner(gameId))) await RedisClient.sRem(ACTIVE_GAMES, gameId);
+    }
+  }
+
+  // Hands every game on this node over for another node (or this one after a restart) to resume:
+  // the latest state and pending timers go to Redis and the leases are given up
+  async suspendGames() {
+    for (const gameId of [...this.activeGames.keys()]) {
+      try {
+        await this.suspendGame(gameId);
+      } catch (error) {
+        console.error(`Suspending game ${gameId} failed:`, error);
+      }
+    }
+  }
+
+  async suspendGame(gameId) {
+    const game = this.activeGames.get(gameId);
+    const mode = GameModeRegistry.get(game.gameMode);
+    if (game.status !== 'finished' && mode.onSuspend) mode.onSuspend(this, game);
+
+    const timers = { ...game.timers };
+    this.releaseGame(gameId);
+    game.timers = timers;
+
+    await RedisClient.setEx(`game:${gameId}`, 7200, JSON.stringify(game));
+    await this.cluster.releaseLease(this.ownerLease(gameId));
+    console.log(`Game ${gameId} suspended for handoff`);
+  }
+
+  // The new host has the game's state already, so nothing is written back; the mode still frees
+  // what it kept in memory, or a stale copy would come back if this node picks the game up again
+  dropGame(gameId) {
+    const game = this.activeGames.get(gameId);
     if (!game) return;
 
+    const mode = GameModeRegistry.get(game.gameMode);
+    if (game.status !== 'finished' && mode.onSuspend) mode.onSuspend(this, game);
+    this.releaseGame(gameId);
+  }
+
+  releaseGame(gameId) {
+    this.clearGameTimers(gameId);
+    this.snapshots.delete(gameId);
+    this.replayEvents.delete(gameId);
+    this.activeGames.delete(gameId);
+  }
+
+  // What players and the replay get to see: no socket ids, timers or in-memory mode state,
+  // only what the mode itself chooses to publish
+  getPublicGame(game) {
+    const { id, gameMode, status, rated, region, teams, config, createdAt, startedAt } = game;
+    const mode = GameModeRegistry.get(gameMode);
+    return {
+      id,
+      gameMode,
+      status,
+      rated,
+      region,
+      players: game.players.map(({ socketId, ...player }) => player),
+      teams,
+      config,
+      createdAt,
+      startedAt,
+      state: mode.publicState ? mode.publicState(game) : null
+    };
+  }
+
+  getGameSnapshot(game) {
+    return {
+      ...game,
+      players: game.players.map(({ socketId, ...player }) => player)
+    };
+  }
+
+  getSpectatorDelay(gameMode) {
+    if (Number.isInteger(this.spectatorDelayOverride)) return this.spectatorDelayOverride;
+    return GameModeRegistry.has(gameMode) ? GameModeRegistry.get(gameMode).spectatorDelayMs || 0 : 0;
+  }
+
+  // While spectators are delayed the live mode state (positions, board) would give the delay away
+  getSpectatorSnapshot(game) {
+    const snapshot = this.getGameSnapshot(game);
+    const spectatorDelayMs = this.getSpectatorDelay(game.gameMode);
+    if (spectatorDelayMs === 0 || game.status === 'finished') return { ...snapshot, spectatorDelayMs };
+
+    const { id, gameMode, status, players, teams, region, config, createdAt, startedAt, spectatorCount } = snapshot;
+    return { id, gameMode, status, players, teams, region, config, createdAt, startedAt, spectatorCount, spectatorDelayMs };
+  }
+
+  async addSpectator(gameId, playerId) {
+    const game = await this.getGame(gameId);
+    if (!game) throw new Error('Game not found');
+    if (game.status === 'finished') throw new Error('Game already finished');
+    if (game.players.some(p => p.id === playerId)) throw new Error('Players cannot spectate their own game');
+
+    game.spectators = game.spectators || [];
+    if (!game.spectators.includes(playerId)) {
+      game.spectators.push(playerId);
+      game.spectatorCount = game.spectators.length;
+      await this.updateGame(gameId, game);
+      console.log(`Player ${playerId} is spectating game ${gameId}`);
+    }
+
+    return this.getSpectatorSnapshot(game);
+  }
+
+  async removeSpectator(gameId, playerId) {
+    const game = await this.getGame(gameId);
+    if (!game || !game.spectators?.includes(playerId)) return;
+
+    game.spectators = game.spectators.filter(id => id !== playerId);
+    game.spectatorCount = game.spectators.length;
+    await this.updateGame(gameId, game);
+  }
+
+  async handlePlayerReconnect(playerId, socketId) {
+    const game = await this.getActiveGameForPlayer(playerId);
+    if (!game) return null;
+
+    const player = game.players.find(p => p.id === playerId);
+    if (!player || player.abandoned) return null;
+
+    this.clearGameTimer(game.id, `reconnect:${playerId}`);
+    this.snapshots.get(game.id)?.resync(playerId);
+
+    const wasDisconnected = !player.connected;
+    player.socketId = socketId;
+    player.connected = true;
+    player.disconnectedAt = null;
+
+    await this.updateGame(game.id, game);
+
+    if (wasDisconnected) {
+      this.emit('player_joined', game.id, { playerId, username: player.username, reconnected: true });
+      console.log(`Player ${playerId} reconnected to game ${game.id}`);
+    }
+
+    return game;
+  }
+
+  async handlePlayerDisconnect(playerId, socketId) {
+    const game = await this.getActiveGameForPlayer(playerId);
+    if (!game) return;
+
+    // A newer socket may already have taken over this player's seat
+    const player = game.players.find(p => p.id === playerId);
+    if (!player || player.socketId !== socketId || !player.connected) return;
+
+    player.connected = false;
+    player.disconnectedAt = Date.now();
+    await this.updateGame(game.id, game);
+
+    this.setGameTimer(game.id, `reconnect:${playerId}`, this.reconnectGracePeriod, () => this.abandonPlayer(game.id, playerId));
+
+    this.emit('player_left', game.id, {
+      playerId,
+      username: player.username,
+      gracePeriod: this.reconnectGracePeriod
+    });
+    console.log(`Player ${playerId} disconnected from game ${game.id}`);
+  }
+
+  async abandonPlayer(gameId, playerId) {
+    const game = await this.getGame(gameId);
+    if (!game || game.status === 'finished') return;
+
+    const player = game.players.find(p => p.id === playerId);
+    if (!player || player.connected) return;
+
+    player.abandoned = true;
+    await this.updateGame(gameId, game);
+    this.emit('player_left', gameId, { playerId, username: player.username, abandoned: true });
+    console.log(`Player ${playerId} abandoned game ${gameId}`);
+
+    // Once only one side still has players the game is decided in its favour
+    const sideOf = p => (Number.isInteger(p.team) ? `team:${p.team}` : p.id);
+    const remainingSides = new Set(game.players.filter(p => !p.abandoned).map(sideOf));
+
+    if (remainingSides.size <= 1) {
+      const ranks = {};
+      game.players.forEach(p => {
+        ranks[p.id] = remainingSides.has(sideOf(p)) ? 1 : 2;
+      });
+      const winners = game.players.filter(p => ranks[p.id] === 1);
+      await this.endGame(gameId, winners.length === 1 ? winners[0].id : null, 'abandonment', ranks);
+    }
+  }
+
+  async startGame(gameId) {
+    const game = await this.getGame(gameId);
+    if (!game || game.status !== 'starting') return;
+
     game.status = 'active';
     game.startedAt = Date.now();
 
+    const mode = GameModeRegistry.get(game.gameMode);
+    if (mode.onStart) await mode.onStart(this, game);
+    this.botService.start(game);
+
     await this.updateGame(gameId, game);
-    this.emit('game_update', gameId, { type: 'game_started', game });
+    this.emit('game_update', gameId, { type: 'game_started', game: this.getPublicGame(game) });
 
     console.log(`Game ${gameId} started with ${game.players.length} players`);
   }
 
-  async handleGameAction(gameId, socketId, action, payload) {
+  async handleGameAction(gameId, playerId, action, payload, context = {}) {
     const game = await this.getGame(gameId);
     if (!game || game.status !== 'active') return;
 
-    const player = game.players.find(p => p.socketId === socketId);
-    if (!player) return;
+    if (game.spectators?.includes(playerId)) throw new Error('Spectators cannot send game actions');
+
+    const player = game.players.find(p => p.id === playerId);
+    if (!player || player.abandoned) return;
 
-    switch (game.gameMode) {
-      case 'chess':
-        await this.handleChessAction(game, player, action, payload);
-        break;
-      case 'fps':
-        await this.handleFPSAction(game, player, action, payload);
-        break;
-      default:
-        console.log(`Unhandled action for game mode ${game.gameMode}`);
+    const handler = GameModeRegistry.get(game.gameMode).actions[action];
+    if (!handler) {
+      console.warn(`Unhandled ${game.gameMode} action: ${action}`);
+      return;
     }
+
+    await handler(this, game, player, payload || {}, context);
+    // Ticking modes are replayed from their snapshots, which already carry what the actions did
+    if (!this.snapshots.has(gameId)) this.recordReplay(gameId, 'action', { playerId, action, payload: payload || {} });
   }
 
-  async handleChessAction(game, player, action, payload) {
-    switch (action) {
-      case 'move': {
-        const { from, to } = payload;
-        console.log(`Chess move: ${player.username} moved from ${from} to ${to}`);
-        this.emit('game_update', game.id, {
-          type: 'move',
-          playerId: player.id,
-          move: { from, to },
-          timestamp: Date.now()
-        });
-        break;
-      }
+  recordReplay(gameId, type, data) {
+    this.replayService.record(gameId, type, data).catch(error => {
+      console.error(`Replay recording failed for ${gameId}:`, error.message);
+    });
+  }
 
-      case 'resign':
-        await this.endGame(game.id, player.id, 'resignation');
-        break;
+  // Ticking modes publish their state here; the socket layer then asks for each player's delta
+  publishSnapshot(gameId, tick, entities, meta = {}, events = []) {
+    if (!this.snapshots.has(gameId)) this.snapshots.set(gameId, new SnapshotBuffer(this.snapshotBufferSize));
+    this.snapshots.get(gameId).push(tick, entities, meta, events);
+    this.emit('game_snapshot', gameId, { tick, timestamp: Date.now() });
 
-      default:
-        console.warn(`Unhandled chess action: ${action}`);
+    // Events only live on their own tick, so those of the ticks in between are carried over
+    const pending = [...(this.replayEvents.get(gameId) || []), ...events];
+    if (tick % this.replaySnapshotTicks !== 0) {
+      this.replayEvents.set(gameId, pending);
+      return;
     }
+    this.replayEvents.delete(gameId);
+
+    const { baseTick, ...frame } = this.buildStreamSnapshot(gameId, REPLAY, this.replayKeyframeTicks);
+    this.recordReplay(gameId, 'snapshot', { ...frame, events: pending });
   }
 
-  async handleFPSAction(game, player, action, payload) {
-    switch (action) {
-      case 'position_update':
-        this.emit('game_update', game.id, {
-          type: 'player_position',
-          playerId: player.id,
-          position: payload.position,
-          rotation: payload.rotation,
-          timestamp: Date.now()
-        });
-        break;
+  // Each player only receives the entities and events their mode's visibility rules allow
+  buildSnapshot(gameId, playerId) {
+    const buffer = this.snapshots.get(gameId);
+    const game = this.activeGames.get(gameId);
+    if (!buffer || !game) return null;
 
-      case 'shoot':
-        this.emit('game_update', game.id, {
-          type: 'player_shoot',
-          playerId: player.id,
-          target: payload.target,
-          timestamp: Date.now()
+    const { visibility } = GameModeRegistry.get(game.gameMode);
+    return buffer.buildFor(playerId, snapshot => InterestManager.filter(snapshot, playerId, visibility));
+  }
+
+  // Spectators and the replay each follow one unfiltered stream, re-keyed periodically
+  // so that late joiners and seeks have a full snapshot to start from
+  buildStreamSnapshot(gameId, stream, keyframeTicks = this.keyframeTicks) {
+    const buffer = this.snapshots.get(gameId);
+    if (!buffer) return null;
+
+    if (buffer.latestTick % keyframeTicks === 0) buffer.resync(stream);
+    const snapshot = buffer.buildFor(stream);
+    buffer.acknowledge(stream, snapshot.tick);
+    return snapshot;
+  }
+
+  buildSpectatorSnapshot(gameId) {
+    return this.buildStreamSnapshot(gameId, SPECTATORS);
+  }
+
+  acknowledgeSnapshot(gameId, playerId, tick) {
+    return this.snapshots.get(gameId)?.acknowledge(playerId, tick) || false;
+  }
+
+  requestResync(gameId, playerId) {
+    this.snapshots.get(gameId)?.resync(playerId);
+  }
+
+  // Named per-game timers (clocks, reconnect grace periods) that are all cleared when the game ends.
+  // They only run on the game's host, and each is noted on the game so the next host can restart it.
+  setGameTimer(gameId, name, delay, callback) {
+    const game = this.activeGames.get(gameId);
+    if (!game) return;
+
+    this.clearGameTimer(gameId, name);
+    game.timers = { ...game.timers, [name]: Date.now() + delay };
+
+    if (!this.gameTimers.has(gameId)) this.gameTimers.set(gameId, new Map());
+    this.gameTimers.get(gameId).set(name, setTimeout(async () => {
+      this.gameTimers.get(gameId)?.delete(name);
+      delete this.activeGames.get(gameId)?.timers?.[name];
+      try {
+        await callback();
+      } catch (error) {
+        console.error(`Game timer ${name} failed for ${gameId}:`, error);
+      }
+    }, delay));
+  }
+
+  clearGameTimer(gameId, name) {
+    delete this.activeGames.get(gameId)?.timers?.[name];
+
+    const timers = this.gameTimers.get(gameId);
+    if (!timers) return;
+
+    clearTimeout(timers.get(name));
+    timers.delete(name);
+  }
+
+  clearGameTimers(gameId) {
+    const game = this.activeGames.get(gameId);
+    if (game) game.timers = {};
+
+    const timers = this.gameTimers.get(gameId);
+    if (!timers) return;
+
+    timers.forEach(timer => clearTimeout(timer));
+    this.gameTimers.delete(gameId);
+  }
+
+  async reportResult(gameId, report = {}, reason = 'completed') {
+    const game = await this.getGame(gameId);
+    if (!game) throw new Error('Game not found');
+    if (game.status === 'finished') throw new Error('Game already finished');
+
+    const { resultFormats } = GameModeRegistry.get(game.gameMode);
+    const format = resultFormats.find(f => report[f] !== undefined);
+    if (!format) throw new Error(`${game.gameMode} results must include ${resultFormats.join(' or ')}`);
+
+    const ranks = this.resolveRanks(game, report);
+    const winners = game.players.filter(p => ranks[p.id] === 1);
+    const winnerId = winners.length === 1 ? winners[0].id : null;
+
+    await this.endGame(gameId, winnerId, reason, ranks);
+    return game.result;
+  }
+
+  // Normalises a winning team, per-team ranks or a free-for-all placement order into a rank per player
+  resolveRanks(game, report) {
+    const ranks = {};
+
+    if (report.winningTeam !== undefined) {
+      if (!game.teams) throw new Error('Game has no teams');
+      game.players.forEach(p => {
+        ranks[p.id] = report.winningTeam === null || p.team === report.winningTeam ? 1 : 2;
+      });
+    } else if (report.teamRanks) {
+      if (!game.teams) throw new Error('Game has no teams');
+      game.players.forEach(p => {
+        ranks[p.id] = report.teamRanks[p.team];
+      });
+    } else if (report.placements) {
+      report.placements.forEach((entry, index) => {
+        const tied = Array.isArray(entry) ? entry : [entry];
+        tied.forEach(playerId => {
+          ranks[playerId] = index + 1;
         });
-        break;
+      });
+    } else {
+      throw new Error('Result must include winningTeam, teamRanks or placements');
+    }
 
-      default:
-        console.warn(`Unhandled FPS action: ${action}`);
+    const missing = game.players.filter(p => !Number.isInteger(ranks[p.id]));
+    if (missing.length > 0 || Object.keys(ranks).length !== game.players.length) {
+      throw new Error('Result must rank every player in the game exactly once');
     }
+
+    return ranks;
   }
 
-  async endGame(gameId, winnerId = null, reason = 'completed') {
+  async endGame(gameId, winnerId = null, reason = 'completed', ranks = null) {
     const game = await this.getGame(gameId);
-    if (!game) return;
+    if (!game || game.status === 'finished') return;
+
+    this.clearGameTimers(gameId);
+    this.snapshots.delete(gameId);
+    this.replayEvents.delete(gameId);
+
+    for (const player of game.players) {
+      await RedisClient.del(`player:${player.id}:game`);
+    }
+    await RedisClient.sRem(ACTIVE_GAMES, gameId);
+
+    // Without explicit ranks the winner (and their team) takes first place, or everyone draws
+    if (!ranks) {
+      const winner = game.players.find(p => p.id === winnerId);
+      ranks = {};
+      game.players.forEach(p => {
+        const onWinningSide = winner && (p.id === winner.id || (Number.isInteger(winner.team) && p.team === winner.team));
+        ranks[p.id] = !winner || onWinningSide ? 1 : 2;
+      });
+    }
 
     game.status = 'finished';
     game.endedAt = Date.now();
-    game.result = { winnerId, reason };
-
-    if (game.gameMode === 'chess' && game.players.length === 2) {
-      const [player1, player2] = game.players;
-
-      if (winnerId === player1.id) {
-        await this.playerService.updatePlayerRating(player1.id, game.gameMode, player2.rating, 'win');
-        await this.playerService.updatePlayerRating(player2.id, game.gameMode, player1.rating, 'loss');
-      } else if (winnerId === player2.id) {
-        await this.playerService.updatePlayerRating(player2.id, game.gameMode, player1.rating, 'win');
-        await this.playerService.updatePlayerRating(player1.id, game.gameMode, player2.rating, 'loss');
-      } else {
-        await this.playerService.updatePlayerRating(player1.id, game.gameMode, player2.rating, 'draw');
-        await this.playerService.updatePlayerRating(player2.id, game.gameMode, player1.rating, 'draw');
+
+    const mode = GameModeRegistry.get(game.gameMode);
+    if (mode.onEnd) mode.onEnd(this, game);
+    game.result = { winnerId, reason, ranks };
+
+    if (game.teams) {
+      const winningTeams = new Set(game.players.filter(p => ranks[p.id] === 1).map(p => p.team));
+      game.result.winningTeam = winningTeams.size === 1 ? [...winningTeams][0] : null;
+    }
+
+    if (game.players.length >= 2 && (game.rated ?? mode.rated)) {
+      try {
+        await this.updateRatings(game, ranks);
+      } catch (error) {
+        console.error(`Rating update failed for game ${gameId}:`, error);
+      }
+    }
+
+    if (game.players.length >= 2) {
+      try {
+        await this.recordMatchHistory(game, ranks);
+      } catch (error) {
+        console.error(`Match history update failed for game ${gameId}:`, error);
       }
     }
 
     await this.updateGame(gameId, game);
     this.emit('game_update', gameId, { type: 'game_ended', result: game.result });
+    await this.replayService.finish(gameId);
 
     setTimeout(() => {
       this.activeGames.delete(gameId);
+      this.cluster.releaseLease(this.ownerLease(gameId)).catch(error => {
+        console.error(`Releasing game ${gameId} failed:`, error.message);
+      });
     }, 60000);
 
     console.log(`Game ${gameId} ended: ${reason}`);
   }
 
+  async updateRatings(game, ranks) {
+    const outcomes = MultiplayerRating.buildOutcomes(game.players.map(p => ({
+      id: p.id,
+      rating: p.rating,
+      deviation: p.deviation,
+      team: p.team,
+      rank: ranks[p.id]
+    })));
+
+    const previousRanks = {};
+    for (const outcome of outcomes) {
+      previousRanks[outcome.playerId] = await this.playerService.getPlayerRank(game.gameMode, outcome.playerId);
+    }
+
+    const updatedPlayers = await this.playerService.applyMatchResults(game.gameMode, outcomes);
+    await this.publishLeaderboardChanges(game.gameMode, updatedPlayers, previousRanks);
+
+    game.result.ratingChanges = outcomes.map((outcome, i) => {
+      const before = game.players.find(p => p.id === outcome.playerId).rating;
+      const after = updatedPlayers[i].ratings[game.gameMode];
+      return { playerId: outcome.playerId, rank: outcome.rank, result: outcome.result, rating: after, change: after - before };
+    });
+  }
+
+  async recordMatchHistory(game, ranks) {
+    const outcomes = MultiplayerRating.buildOutcomes(game.players.map(p => ({
+      id: p.id,
+      rating: p.rating,
+      team: p.team,
+      rank: ranks[p.id]
+    })));
+    const sameSide = (a, b) => (Number.isInteger(a.team) ? a.team === b.team : a.id === b.id);
+
+    for (const outcome of outcomes) {
+      const player = game.players.find(p => p.id === outcome.playerId);
+      if (player.isBot) continue;
+
+      const change = game.result.ratingChanges?.find(c => c.playerId === player.id);
+      const summarize = ({ id, username, team, isBot }) => ({ id, username, team, isBot: Boolean(isBot) });
+
+      await this.playerService.addMatchHistory(player.id, {
+        gameId: game.id,
+        gameMode: game.gameMode,
+        endedAt: game.endedAt,
+        duration: game.endedAt - (game.startedAt || game.createdAt),
+        reason: game.result.reason,
+        result: outcome.result,
+        rank: outcome.rank,
+        team: player.team,
+        teammates: game.players.filter(p => p.id !== player.id && sameSide(p, player)).map(summarize),
+        opponents: game.players.filter(p => !sameSide(p, player)).map(summarize),
+        ratingBefore: player.rating,
+        ratingAfter: change ? change.rating : null,
+        ratingChange: change ? change.change : null
+      });
+    }
+  }
+
+  async publishLeaderboardChanges(gameMode, players, previousRanks) {
+    for (const player of players) {
+      const rank = await this.playerService.getPlayerRank(gameMode, player.id);
+      const previousRank = previousRanks[player.id];
+
+      if (rank !== null && rank <= this.leaderboardTopN && rank !== previousRank) {
+        this.emit('leaderboard_update', gameMode, {
+          playerId: player.id,
+          username: player.username,
+          rating: player.ratings[gameMode],
+          rank,
+          previousRank
+        });
+      }
+    }
+  }
+
   async updateGame(gameId, game) {
     await RedisClient.setEx(`game:${gameId}`, 7200, JSON.stringify(game));
     this.activeGames.set(gameId, game);
   }
 
   getGameConfig(gameMode) {
-    const configs = {
-      fps: {
-        maxPlayers: 10,
-        mapSize: { width: 1000, height: 1000 },
-        gameTime: 600000
-      },
-      chess: {
-        maxPlayers: 2,
-        timeControl: '10+0',
-        increment: 0
-      },
-      moba: {
-        maxPlayers: 10,
-        teamSize: 5,
-        gameTime: 1800000
-      },
-      rts: {
-        maxPlayers: 2,
-        mapSize: '128x128',
-        resources: ['minerals', 'gas']
-      }
-    };
-    return JSON.parse(JSON.stringify(configs[gameMode] || {}));
+    return JSON.parse(JSON.stringify(GameModeRegistry.get(gameMode).config));
   }
 }
 
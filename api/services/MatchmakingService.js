@@ -3,37 +3,116 @@ import RedisClient from '../config/redis.js';
 import RabbitMQClient from '../config/rabbitmq.js';
 import PlayerService from './PlayerService.js';
 import GameService from './GameService.js';
+import PartyService from './PartyService.js';
+import QueueService from './QueueService.js';
+import ClusterService from './ClusterService.js';
+import TeamBalancer from '../utils/TeamBalancer.js';
+import Glicko2Calculator from '../utils/Glicko2Calculator.js';
+import RegionSelector from '../utils/RegionSelector.js';
+import MatchmakingPolicy from '../utils/MatchmakingPolicy.js';
+import BatchMatcher from '../utils/BatchMatcher.js';
+import GameModeRegistry from '../modes/GameModeRegistry.js';
 import { v4 as uuidv4 } from 'uuid';
 
+// Runtime policy overrides by mode, shared by every node
+const POLICY_OVERRIDES = 'matchmaking:policies';
+
 class MatchmakingService extends EventEmitter {
-  constructor() {
+  constructor(gameService = new GameService()) {
     super();
     this.playerService = new PlayerService();
-    this.gameService = new GameService();
+    // Shared with the socket layer so game timers and in-memory state live in one place
+    this.gameService = gameService;
+    this.partyService = new PartyService();
+    this.queueService = new QueueService();
+    this.cluster = new ClusterService();
+    this.matchmakingInterval = 2000;
+    // Long enough to survive a slow cycle, short enough for another node to take over quickly
+    this.matchmakingLease = parseInt(process.env.MATCHMAKING_LEASE_MS) || this.matchmakingInterval * 3;
     this.matchmakingIntervals = new Map();
-    this.startMatchmakingLoop();
+    this.draining = false;
+    this.readyChecks = new Map();
+    this.readyCheckTimeout = parseInt(process.env.READY_CHECK_TIMEOUT_MS) || 20000;
+    this.dodgePenalty = parseInt(process.env.QUEUE_DODGE_PENALTY_MS) || 60000;
+    this.regions = RegionSelector.parse(process.env.MATCHMAKING_REGIONS || 'us-east,us-west,eu-west,asia-east');
+    // The region this node runs in, whose latency the server measures itself
+    this.nodeRegion = process.env.NODE_REGION || null;
+    this.latencyPolicy = {
+      maxLatency: parseInt(process.env.MATCHMAKING_MAX_LATENCY_MS) || RegionSelector.defaults.maxLatency,
+      tolerance: parseInt(process.env.REGION_TOLERANCE_MS) || RegionSelector.defaults.tolerance,
+      toleranceStep: parseInt(process.env.REGION_TOLERANCE_STEP_MS) || RegionSelector.defaults.toleranceStep
+    };
+    // 0 backfills right away, unset leaves bots off
+    const botBackfillAfter = parseInt(process.env.BOT_BACKFILL_AFTER_MS);
+    // Lowest layer of every mode's policy; the mode's own `matchmaking` block and overrides go on top
+    this.basePolicy = {
+      ratingWindow: { initial: parseInt(process.env.MAX_RATING_DIFF) || MatchmakingPolicy.defaults.ratingWindow.initial },
+      latency: this.latencyPolicy,
+      bots: { afterMs: Number.isFinite(botBackfillAfter) ? botBackfillAfter : null }
+    };
+    this.policyOverrides = new Map();
+    this.policies = new Map();
+    this.botService = this.gameService.botService;
   }
 
-  async addToQueue(playerId, gameMode, preferences = {}, socketId) {
+  async addToQueue(playerId, gameMode, preferences = {}, socketId, { rtt } = {}) {
+    if (this.draining) throw new Error('Server is restarting, reconnect to join the queue');
+    if (!GameModeRegistry.has(gameMode)) throw new Error(`Unknown game mode: ${gameMode}`);
+
     const player = await this.playerService.getPlayer(playerId);
     if (!player) throw new Error('Player not found');
 
-    const queueKey = `queue:${gameMode}`;
+    const party = await this.partyService.getPlayerParty(playerId);
+    if (party && party.leaderId !== playerId) {
+      throw new Error('Only the party leader can queue the party');
+    }
+
+    const memberIds = party ? party.members.map(m => m.id) : [playerId];
+    for (const memberId of memberIds) {
+      const penaltyEndsAt = parseInt(await RedisClient.get(`queue_penalty:${memberId}`));
+      if (penaltyEndsAt > Date.now()) {
+        const seconds = Math.ceil((penaltyEndsAt - Date.now()) / 1000);
+        throw new Error(`Queue dodge penalty active for another ${seconds}s`);
+      }
+    }
+
+    const { rating, deviation } = this.playerService.getRatingProfile(player, gameMode);
     const playerData = {
       id: playerId,
       username: player.username,
-      rating: player.ratings[gameMode] || 1000,
+      rating,
+      deviation,
+      tier: this.playerService.getRanks(player)[gameMode].name,
       preferences,
       socketId,
       joinedAt: Date.now(),
-      searchExpansion: 0
+      latencies: this.buildLatencies(preferences, rtt),
+      maxLatency: this.getMaxLatency(preferences, gameMode)
     };
 
-    await RedisClient.zAdd(queueKey, [{ score: playerData.rating, value: JSON.stringify(playerData) }]);
-    await RedisClient.expire(queueKey, 3600);
+    if (party && party.members.length > 1) {
+      if (party.members.length > this.getMaxPartySize(gameMode)) {
+        throw new Error(`Party is too large for ${gameMode}`);
+      }
+
+      playerData.partyId = party.id;
+      playerData.members = await this.buildPartyMembers(party, gameMode, playerData);
+      playerData.rating = this.getPartyRating(playerData.members);
+      playerData.deviation = this.getPartyDeviation(playerData.members);
+      // The party plays wherever its worst-placed member can
+      playerData.latencies = RegionSelector.combine(playerData.members.map(m => m.latencies));
+      playerData.maxLatency = Math.min(...playerData.members.map(m => m.maxLatency));
+    }
+
+    if (playerData.latencies && Math.min(...Object.values(playerData.latencies)) > playerData.maxLatency) {
+      throw new Error(`No region is within your ${playerData.maxLatency}ms latency limit`);
+    }
+
+    await this.queueService.join(gameMode, playerData);
 
     await RabbitMQClient.publish('matchmaking.queue.join', {
       playerId,
+      partyId: playerData.partyId || null,
       gameMode,
       timestamp: Date.now()
     });
@@ -41,18 +120,153 @@ class MatchmakingService extends EventEmitter {
     console.log(`Player ${playerId} joined ${gameMode} queue`);
   }
 
-  async removeFromQueue(playerId, gameMode) {
-    const queueKey = `queue:${gameMode}`;
-    const members = await RedisClient.zRange(queueKey, 0, -1);
-
-    for (const member of members) {
-      const playerData = JSON.parse(member);
-      if (playerData.id === playerId) {
-        await RedisClient.zRem(queueKey, member);
-        break;
-      }
+  // Round trips the client declared to each configured region. A bare `region` preference
+  // counts as being right next to it, and the server's own measurement wins for this node's region.
+  buildLatencies(preferences = {}, rtt) {
+    const names = this.getRegionNames();
+    const latencies = {};
+
+    for (const [region, value] of Object.entries(preferences.latencies || {})) {
+      const latency = Number(value);
+      if (names.includes(region) && Number.isFinite(latency) && latency >= 0) latencies[region] = Math.round(latency);
+    }
+
+    if (Object.keys(latencies).length === 0 && names.includes(preferences.region)) {
+      latencies[preferences.region] = 0;
+    }
+
+    if (this.nodeRegion && names.includes(this.nodeRegion) && Number.isFinite(rtt)) {
+      latencies[this.nodeRegion] = Math.round(rtt);
+    }
+
+    return Object.keys(latencies).length > 0 ? latencies : null;
+  }
+
+  getMaxLatency(preferences = {}, gameMode) {
+    return Number(preferences.maxLatency) > 0 ? Number(preferences.maxLatency) : this.getPolicy(gameMode).latency.maxLatency;
+  }
+
+  getRegionNames() {
+    return this.regions.map(region => region.name);
+  }
+
+  selectRegion(entries, gameMode, now = Date.now()) {
+    return RegionSelector.select(entries, this.getRegionNames(), now, this.getPolicy(gameMode).latency);
+  }
+
+  getPolicy(gameMode) {
+    if (!this.policies.has(gameMode)) {
+      const { matchmaking } = GameModeRegistry.get(gameMode);
+      this.policies.set(gameMode, MatchmakingPolicy.resolve(this.basePolicy, matchmaking, this.policyOverrides.get(gameMode)));
+    }
+    return this.policies.get(gameMode);
+  }
+
+  // Picks up overrides stored by any node. Runs before every matchmaking pass, so a
+  // policy change takes effect within one interval without restarting anything.
+  async refreshPolicy(gameMode) {
+    const stored = await RedisClient.hGet(POLICY_OVERRIDES, gameMode);
+    const override = stored ? JSON.parse(stored) : null;
+    if (JSON.stringify(override) === JSON.stringify(this.policyOverrides.get(gameMode) || null)) return;
+
+    try {
+      this.applyPolicyOverride(gameMode, override);
+      console.log(`Reloaded ${gameMode} matchmaking policy`);
+    } catch (error) {
+      console.error(`Ignoring invalid ${gameMode} matchmaking policy override:`, error.message);
+    }
+  }
+
+  // Only affects this instance; setPolicyOverride is what shares an override with every node
+  applyPolicyOverride(gameMode, override) {
+    MatchmakingPolicy.resolve(this.basePolicy, GameModeRegistry.get(gameMode).matchmaking, override);
+
+    if (override) this.policyOverrides.set(gameMode, override);
+    else this.policyOverrides.delete(gameMode);
+    this.policies.delete(gameMode);
+  }
+
+  // Replaces the stored override for a mode (null removes it) and returns the resulting policy
+  async setPolicyOverride(gameMode, override) {
+    if (!GameModeRegistry.has(gameMode)) throw new Error(`Unknown game mode: ${gameMode}`);
+
+    if (override) {
+      MatchmakingPolicy.resolve(this.basePolicy, GameModeRegistry.get(gameMode).matchmaking, override);
+      await RedisClient.hSet(POLICY_OVERRIDES, gameMode, JSON.stringify(override));
+    } else {
+      await RedisClient.hDel(POLICY_OVERRIDES, gameMode);
+    }
+
+    await this.refreshPolicy(gameMode);
+    await RabbitMQClient.publish('matchmaking.policy.updated', { gameMode, override, timestamp: Date.now() });
+    return this.getPolicy(gameMode);
+  }
+
+  async getPolicies() {
+    const policies = {};
+
+    for (const gameMode of GameModeRegistry.names()) {
+      await this.refreshPolicy(gameMode);
+      policies[gameMode] = { policy: this.getPolicy(gameMode), override: this.policyOverrides.get(gameMode) || null };
+    }
+
+    return policies;
+  }
+
+  // The leader's latencies come from the queue request, the others' from what they reported when joining the party
+  async buildPartyMembers(party, gameMode, leader) {
+    const members = [];
+
+    for (const member of party.members) {
+      const profile = await this.playerService.getPlayer(member.id);
+      if (!profile) throw new Error(`Party member ${member.id} not found`);
+
+      const { rating, deviation } = this.playerService.getRatingProfile(profile, gameMode);
+      members.push({
+        id: member.id,
+        username: profile.username,
+        rating,
+        deviation,
+        tier: this.playerService.getRanks(profile)[gameMode].name,
+        socketId: member.id === leader.id ? leader.socketId : member.socketId,
+        latencies: member.id === leader.id ? leader.latencies : this.buildLatencies(member.latency?.preferences, member.latency?.rtt),
+        maxLatency: member.id === leader.id ? leader.maxLatency : this.getMaxLatency(member.latency?.preferences, gameMode)
+      });
     }
 
+    return members;
+  }
+
+  getPartyRating(members) {
+    const total = members.reduce((sum, m) => sum + m.rating, 0);
+    return Math.round(total / members.length);
+  }
+
+  getPartyDeviation(members) {
+    const total = members.reduce((sum, m) => sum + m.deviation * m.deviation, 0);
+    return Math.round(Math.sqrt(total / members.length));
+  }
+
+  getEntrySize(entry) {
+    return entry.members ? entry.members.length : 1;
+  }
+
+  expandEntry(entry) {
+    if (!entry.members) return [entry];
+
+    return entry.members.map(member => ({
+      ...member,
+      partyId: entry.partyId,
+      preferences: entry.preferences,
+      joinedAt: entry.joinedAt
+    }));
+  }
+
+  // Leaving a queue you are not in is a no-op, so retries are safe
+  async removeFromQueue(playerId, gameMode) {
+    const entry = await this.queueService.leave(playerId, gameMode);
+    if (!entry) return false;
+
     await RabbitMQClient.publish('matchmaking.queue.leave', {
       playerId,
       gameMode,
@@ -60,52 +274,107 @@ class MatchmakingService extends EventEmitter {
     });
 
     console.log(`Player ${playerId} left ${gameMode} queue`);
+    return true;
+  }
+
+  async removePartyFromQueue(partyId) {
+    for (const gameMode of GameModeRegistry.names()) {
+      const entries = await this.queueService.getEntries(gameMode);
+
+      for (const entry of entries.filter(e => e.partyId === partyId)) {
+        if (await this.queueService.leave(entry.id, gameMode)) {
+          console.log(`Removed party ${partyId} from ${gameMode} queue`);
+        }
+      }
+    }
   }
 
   async handlePlayerDisconnect(socketId) {
-    const gameModes = ['fps', 'chess', 'moba', 'rts'];
+    await this.declineReadyChecks(socketId);
+
+    for (const gameMode of GameModeRegistry.names()) {
+      const entries = await this.queueService.getEntries(gameMode);
 
-    for (const gameMode of gameModes) {
-      const queueKey = `queue:${gameMode}`;
-      const members = await RedisClient.zRange(queueKey, 0, -1);
+      for (const playerData of entries) {
+        const partyMemberLeft = (playerData.members || []).some(m => m.socketId === socketId);
 
-      for (const member of members) {
-        const playerData = JSON.parse(member);
-        if (playerData.socketId === socketId) {
-          await RedisClient.zRem(queueKey, member);
-          console.log(`Removed disconnected player ${playerData.id} from ${gameMode} queue`);
+        if ((playerData.socketId === socketId || partyMemberLeft) && await this.queueService.leave(playerData.id, gameMode)) {
+          console.log(playerData.partyId
+            ? `Removed party ${playerData.partyId} from ${gameMode} queue after a member disconnected`
+            : `Removed disconnected player ${playerData.id} from ${gameMode} queue`);
         }
       }
     }
   }
 
-  startMatchmakingLoop() {
-    const gameModes = ['fps', 'chess', 'moba', 'rts'];
+  // Queue entries outlive the node a player was connected to; this picks theirs back up
+  async resumeQueue(playerId, socketId) {
+    return this.queueService.updateSocket(playerId, socketId);
+  }
 
-    gameModes.forEach(gameMode => {
-      const interval = setInterval(() => {
-        this.processMatchmaking(gameMode);
-      }, 2000);
+  // Dropping out of a pending ready check counts as declining it
+  async declineReadyChecks(socketId) {
+    for (const check of this.readyChecks.values()) {
+      const player = check.players.find(p => p.socketId === socketId);
+      if (player) await this.respondToReadyCheck(check.id, player.id, false);
+    }
+  }
+
+  // Every node runs the loop, but only the holder of a mode's lease matches that mode
+  startMatchmakingLoop() {
+    GameModeRegistry.names().forEach(gameMode => {
+      const interval = setInterval(async () => {
+        try {
+          if (await this.cluster.acquireLease(`matchmaking:${gameMode}`, this.matchmakingLease)) {
+            await this.processMatchmaking(gameMode);
+          }
+        } catch (error) {
+          console.error(`Matchmaking lease error for ${gameMode}:`, error);
+        }
+      }, this.matchmakingInterval);
       this.matchmakingIntervals.set(gameMode, interval);
     });
   }
 
-  async processMatchmaking(gameMode) {
-    try {
-      const queueKey = `queue:${gameMode}`;
-      const members = await RedisClient.zRange(queueKey, 0, -1);
+  stopMatchmakingLoop() {
+    this.matchmakingIntervals.forEach(interval => clearInterval(interval));
+    this.matchmakingIntervals.clear();
+  }
 
-      if (members.length < 2) return;
+  // Stops taking joins and hands matchmaking to other nodes. Queued players stay in Redis,
+  // and players in a pending ready check go back into the queue without a penalty.
+  async drain() {
+    this.draining = true;
+    this.stopMatchmakingLoop();
 
-      const players = members.map(m => JSON.parse(m));
-      const matches = this.findMatches(players, gameMode);
+    for (const check of [...this.readyChecks.values()]) {
+      await this.failReadyCheck(check.id, [], 'server_restart');
+    }
 
-      for (const match of matches) {
-        await this.createMatch(match, gameMode);
+    for (const gameMode of GameModeRegistry.names()) {
+      await this.cluster.releaseLease(`matchmaking:${gameMode}`);
+    }
+  }
 
-        for (const player of match) {
-          const playerStr = JSON.stringify(player);
-          await RedisClient.zRem(queueKey, playerStr);
+  async processMatchmaking(gameMode) {
+    try {
+      await this.refreshPolicy(gameMode);
+      await this.recoverReadyChecks(gameMode);
+
+      const players = await this.queueService.getEntries(gameMode);
+      if (players.length === 0) return;
+
+      const now = Date.now();
+      const matches = this.findMatches(players, gameMode, now);
+      const matched = new Set(matches.flat().map(entry => entry.id));
+      const backfills = this.findBackfills(players.filter(entry => !matched.has(entry.id)), gameMode, now);
+
+      // Another instance (or a leave) may have taken some of these entries since they were read;
+      // such a match is dropped and its remaining players are reconsidered next cycle.
+      // Bots were never queued, so only the people in a match are claimed.
+      for (const match of [...matches, ...backfills]) {
+        if (await this.queueService.claim(gameMode, match.filter(entry => !entry.isBot))) {
+          await this.startReadyCheck(match, gameMode);
         }
       }
     } catch (error) {
@@ -113,123 +382,296 @@ class MatchmakingService extends EventEmitter {
     }
   }
 
-  findMatches(players, gameMode) {
-    const matches = [];
-    const playersPerMatch = this.getPlayersPerMatch(gameMode);
-    const usedPlayers = new Set();
+  // Queue entries are either solo players or whole parties; a party is only ever placed
+  // in a match as a unit. Every two entries of a match must accept each other.
+  findMatches(players, gameMode, now = Date.now()) {
+    const policy = this.getPolicy(gameMode);
+    const options = {
+      size: this.getPlayersPerMatch(gameMode),
+      window: policy.batch.window,
+      entrySize: entry => this.getEntrySize(entry),
+      compatible: (a, b) => this.arePlayersCompatible(a, b, gameMode, now),
+      fits: entries => this.selectRegion(entries, gameMode, now) !== null,
+      accept: entries => this.canFormTeams(entries, gameMode),
+      score: entries => this.scoreMatch(entries, gameMode, now)
+    };
 
-    players.sort((a, b) => a.joinedAt - b.joinedAt);
+    return policy.batch.strategy === 'greedy'
+      ? BatchMatcher.firstFit(players, options)
+      : BatchMatcher.match(players, options);
+  }
 
-    for (let i = 0; i < players.length; i++) {
-      if (usedPlayers.has(players[i].id)) continue;
+  // Entries that have waited past the mode's bot threshold get a match topped up with bots.
+  // Other entries past the threshold that fit join first, so bots only fill what people can't.
+  findBackfills(entries, gameMode, now = Date.now()) {
+    const { afterMs } = this.getPolicy(gameMode).bots;
+    const { bot, playersPerMatch } = GameModeRegistry.get(gameMode);
+    if (afterMs === null || !bot) return [];
 
-      const potentialMatch = [players[i]];
-      usedPlayers.add(players[i].id);
+    const waiting = entries.filter(entry => now - entry.joinedAt >= afterMs).sort((a, b) => a.joinedAt - b.joinedAt);
+    const used = new Set();
+    const matches = [];
 
-      for (let j = i + 1; j < players.length && potentialMatch.length < playersPerMatch; j++) {
-        if (usedPlayers.has(players[j].id)) continue;
+    for (const entry of waiting) {
+      if (used.has(entry.id)) continue;
 
-        if (this.arePlayersCompatible(players[i], players[j], gameMode)) {
-          potentialMatch.push(players[j]);
-          usedPlayers.add(players[j].id);
-        }
-      }
+      const group = [entry];
+      let size = this.getEntrySize(entry);
+
+      for (const other of waiting) {
+        if (other === entry || used.has(other.id) || size + this.getEntrySize(other) > playersPerMatch) continue;
+        if (!group.every(member => this.arePlayersCompatible(member, other, gameMode, now))) continue;
+        if (!this.selectRegion([...group, other], gameMode, now)) continue;
 
-      if (potentialMatch.length === playersPerMatch) {
-        matches.push(potentialMatch);
-      } else {
-        potentialMatch.forEach(p => usedPlayers.delete(p.id));
+        group.push(other);
+        size += this.getEntrySize(other);
       }
+
+      const players = group.flatMap(member => this.expandEntry(member));
+      const rating = players.reduce((sum, p) => sum + p.rating, 0) / players.length;
+      const bots = Array.from({ length: playersPerMatch - size }, () => this.botService.createBot(gameMode, rating, now));
+      const match = [...group, ...bots];
+      if (!this.canFormTeams(match, gameMode)) continue;
+
+      group.forEach(member => used.add(member.id));
+      matches.push(match);
     }
 
     return matches;
   }
 
-  arePlayersCompatible(player1, player2, gameMode) {
+  scoreMatch(entries, gameMode, now = Date.now()) {
+    const policy = this.getPolicy(gameMode);
+    const players = entries.flatMap(entry => this.expandEntry(entry));
+    const placement = this.selectRegion(entries, gameMode, now);
+    const latency = placement && { average: placement.averageLatency, worst: placement.worstLatency };
+
+    return MatchmakingPolicy.matchScore(policy, {
+      players,
+      quality: MatchmakingPolicy.quality(policy, { players, latency }),
+      levels: players.map(player => MatchmakingPolicy.expansionLevel(policy, now - player.joinedAt))
+    });
+  }
+
+  canFormTeams(entries, gameMode) {
+    const { teamSize } = GameModeRegistry.get(gameMode);
+    if (!teamSize) return true;
+    return TeamBalancer.canSplit(entries.map(entry => this.getEntrySize(entry)), teamSize);
+  }
+
+  // Each player's window and relaxed preferences follow their own wait, and both have
+  // to accept the other: a long wait widens your search, not a newcomer's.
+  arePlayersCompatible(player1, player2, gameMode, now = Date.now()) {
+    const policy = this.getPolicy(gameMode);
     const ratingDiff = Math.abs(player1.rating - player2.rating);
-    const waitTime = Math.max(Date.now() - player1.joinedAt, Date.now() - player2.joinedAt);
-    const maxRatingDiff = 100 + Math.floor(waitTime / 10000) * 30;
+    const maxRatingDiff = Math.min(
+      MatchmakingPolicy.ratingWindow(policy, now - player1.joinedAt),
+      MatchmakingPolicy.ratingWindow(policy, now - player2.joinedAt)
+    ) + Glicko2Calculator.uncertaintyMargin(player1.deviation, player2.deviation);
 
     if (ratingDiff > maxRatingDiff) return false;
 
-    switch (gameMode) {
-      case 'fps':
-        return this.checkFPSCompatibility(player1, player2);
-      case 'chess':
-        return this.checkChessCompatibility(player1, player2);
-      default:
-        return true;
+    const { isCompatible } = GameModeRegistry.get(gameMode);
+    if (!isCompatible) return true;
+    return isCompatible(MatchmakingPolicy.relaxPreferences(player1, policy, now), MatchmakingPolicy.relaxPreferences(player2, policy, now));
+  }
+
+  readyCheckKey(gameMode) {
+    return `matchmaking:ready_checks:${gameMode}`;
+  }
+
+  // Pending checks are also stored in Redis, and whoever removes a check from there is the one
+  // that resolves it. That way the players of a check whose node crashed are not stuck: once it
+  // is overdue, the next holder of the mode's lease puts them back in the queue.
+  async startReadyCheck(entries, gameMode) {
+    const check = {
+      id: uuidv4(),
+      gameMode,
+      entries,
+      players: entries.flatMap(entry => this.expandEntry(entry)),
+      // Bots are always ready
+      accepted: new Set(entries.filter(entry => entry.isBot).map(entry => entry.id)),
+      matchedAt: Date.now(),
+      expiresAt: Date.now() + this.readyCheckTimeout
+    };
+
+    const { accepted, ...stored } = check;
+    await RedisClient.hSet(this.readyCheckKey(gameMode), check.id, JSON.stringify(stored));
+
+    check.timer = setTimeout(() => {
+      const missing = check.players.filter(p => !check.accepted.has(p.id)).map(p => p.id);
+      this.failReadyCheck(check.id, missing, 'timeout').catch(error => {
+        console.error(`Ready check ${check.id} timeout error:`, error);
+      });
+    }, this.readyCheckTimeout);
+
+    this.readyChecks.set(check.id, check);
+    this.emit('match_ready_check', {
+      matchId: check.id,
+      gameMode,
+      players: check.players,
+      expiresAt: check.expiresAt
+    });
+
+    console.log(`Ready check ${check.id} started for ${check.players.length} players`);
+    return check;
+  }
+
+  async respondToReadyCheck(matchId, playerId, accepted) {
+    const check = this.readyChecks.get(matchId);
+    if (!check) throw new Error('Ready check not found or already resolved');
+    if (!check.players.some(p => p.id === playerId)) throw new Error('Player is not part of this match');
+
+    if (!accepted) {
+      await this.failReadyCheck(matchId, [playerId], 'declined');
+      return;
+    }
+
+    check.accepted.add(playerId);
+    this.emit('ready_check_update', {
+      matchId,
+      players: check.players,
+      accepted: check.accepted.size,
+      total: check.players.length
+    });
+
+    if (check.accepted.size === check.players.length) {
+      clearTimeout(check.timer);
+      this.readyChecks.delete(matchId);
+      if (!(await RedisClient.hDel(this.readyCheckKey(check.gameMode), matchId))) return;
+      await this.createMatch(check.entries, check.gameMode, check.matchedAt);
     }
   }
 
-  checkFPSCompatibility(player1, player2) {
-    const p1Prefs = player1.preferences || {};
-    const p2Prefs = player2.preferences || {};
-    return !(p1Prefs.region && p2Prefs.region && p1Prefs.region !== p2Prefs.region);
+  async failReadyCheck(matchId, offenderIds, reason) {
+    const check = this.readyChecks.get(matchId);
+    if (!check) return;
+
+    clearTimeout(check.timer);
+    this.readyChecks.delete(matchId);
+    if (!(await RedisClient.hDel(this.readyCheckKey(check.gameMode), matchId))) return;
+
+    const penaltyEndsAt = Date.now() + this.dodgePenalty;
+    for (const playerId of offenderIds) {
+      await RedisClient.setEx(`queue_penalty:${playerId}`, Math.ceil(this.dodgePenalty / 1000), String(penaltyEndsAt));
+    }
+
+    // Everyone else goes back in with their original queue entry, so joinedAt is preserved.
+    // A party travels with its member, so a dodging member takes the whole party out.
+    // Anyone who queued for something else in the meantime stays where they are.
+    const requeued = [];
+    for (const entry of check.entries.filter(e => !e.isBot)) {
+      const memberIds = this.expandEntry(entry).map(p => p.id);
+      if (memberIds.some(id => offenderIds.includes(id))) continue;
+
+      try {
+        await this.queueService.join(check.gameMode, entry);
+        requeued.push(...memberIds);
+      } catch (error) {
+        console.log(`Not requeueing ${entry.id}: ${error.message}`);
+      }
+    }
+
+    this.emit('match_ready_check_failed', {
+      matchId,
+      reason,
+      players: check.players,
+      offenders: offenderIds,
+      requeued,
+      penaltyEndsAt
+    });
+
+    console.log(`Ready check ${matchId} failed (${reason}); requeued ${requeued.length} players`);
   }
 
-  checkChessCompatibility(player1, player2) {
-    const p1Prefs = player1.preferences || {};
-    const p2Prefs = player2.preferences || {};
-    return !(p1Prefs.timeControl && p2Prefs.timeControl && p1Prefs.timeControl !== p2Prefs.timeControl);
+  // Checks this node does not hold and that should have been resolved a lease period ago
+  // belonged to a node that went away; their players are requeued without penalties
+  async recoverReadyChecks(gameMode, now = Date.now()) {
+    const stored = (await RedisClient.hVals(this.readyCheckKey(gameMode))).map(check => JSON.parse(check));
+
+    for (const check of stored) {
+      if (this.readyChecks.has(check.id) || now < check.expiresAt + this.matchmakingLease) continue;
+
+      this.readyChecks.set(check.id, { ...check, accepted: new Set() });
+      await this.failReadyCheck(check.id, [], 'host_lost');
+    }
   }
 
-  async createMatch(players, gameMode) {
+  async createMatch(entries, gameMode, matchedAt = Date.now()) {
     const gameId = uuidv4();
+    const players = entries.flatMap(entry => this.expandEntry(entry));
+    const { teamSize, rated } = GameModeRegistry.get(gameMode);
+    const teams = teamSize ? TeamBalancer.balance(players, teamSize) : null;
+    // Tolerances only widen while a ready check runs, so the region found when matching still fits
+    const placement = this.selectRegion(entries, gameMode) || { region: null, averageLatency: null, worstLatency: null };
+    const latency = { average: placement.averageLatency, worst: placement.worstLatency };
+
+    // How far the longest-waiting entry's search had widened when the match was made
+    const policy = this.getPolicy(gameMode);
+    const expansionLevel = Math.max(...entries.map(entry => MatchmakingPolicy.expansionLevel(policy, matchedAt - entry.joinedAt)));
+    const quality = MatchmakingPolicy.quality(policy, { players, teams, latency });
+
     const matchData = {
       gameId,
-      players,
+      players: players.map(p => ({
+        ...p,
+        team: teams ? teams.findIndex(t => t.players.includes(p.id)) : null
+      })),
+      teams,
       gameMode,
+      region: placement.region,
+      latency,
+      quality,
+      expansionLevel,
+      rated: rated && !players.some(p => p.isBot),
       createdAt: Date.now()
     };
 
-    await this.gameService.createGame(gameId, players, gameMode);
+    await this.gameService.createGame(gameId, players, gameMode, teams, { region: placement.region, latency, quality, expansionLevel });
     this.emit('match_found', matchData);
     await RabbitMQClient.publish('matchmaking.match.created', matchData);
 
-    console.log(`Match created: ${gameId} with ${players.length} players`);
+    console.log(`Match created: ${gameId} with ${players.length} players (quality ${quality}, expansion level ${expansionLevel})`);
   }
 
   getPlayersPerMatch(gameMode) {
-    const config = {
-      fps: 10,
-      chess: 2,
-      moba: 10,
-      rts: 2
-    };
-    return config[gameMode] || 2;
+    return GameModeRegistry.get(gameMode).playersPerMatch;
+  }
+
+  getMaxPartySize(gameMode) {
+    return GameModeRegistry.get(gameMode).maxPartySize;
   }
 
   async getQueueStatus() {
-    const gameModes = ['fps', 'chess', 'moba', 'rts'];
     const status = {};
 
-    for (const gameMode of gameModes) {
-      const queueKey = `queue:${gameMode}`;
-      const count = await RedisClient.zCard(queueKey);
-      const members = await RedisClient.zRange(queueKey, 0, -1);
+    for (const gameMode of GameModeRegistry.names()) {
+      const entries = await this.queueService.getEntries(gameMode);
+      const count = entries.reduce((sum, entry) => sum + this.getEntrySize(entry), 0);
 
-      const avgWaitTime = members.length > 0
-        ? members.reduce((sum, member) => {
-            const player = JSON.parse(member);
-            return sum + (Date.now() - player.joinedAt);
-          }, 0) / members.length
+      const avgWaitTime = entries.length > 0
+        ? entries.reduce((sum, entry) => sum + (Date.now() - entry.joinedAt), 0) / entries.length
         : 0;
+      const longestWait = entries.reduce((longest, entry) => Math.max(longest, Date.now() - entry.joinedAt), 0);
 
       status[gameMode] = {
         playersInQueue: count,
         averageWaitTime: Math.round(avgWaitTime / 1000),
-        estimatedMatchTime: this.estimateMatchTime(count, gameMode)
+        estimatedMatchTime: this.estimateMatchTime(count, gameMode, longestWait)
       };
     }
 
     return status;
   }
 
-  estimateMatchTime(playersInQueue, gameMode) {
+  estimateMatchTime(playersInQueue, gameMode, longestWait = 0) {
     const playersPerMatch = this.getPlayersPerMatch(gameMode);
     if (playersInQueue < playersPerMatch) {
-      return 'Waiting for more players';
+      const { afterMs } = this.getPolicy(gameMode).bots;
+      if (playersInQueue === 0 || afterMs === null || !GameModeRegistry.get(gameMode).bot) {
+        return 'Waiting for more players';
+      }
+      return `~${Math.max(5, Math.ceil((afterMs - longestWait) / 1000))}s (with bots)`;
     }
 
     const potentialMatches = Math.floor(playersInQueue / playersPerMatch);
@@ -0,0 +1,218 @@
+import RedisClient from '../config/redis.js';
+import PlayerService from './PlayerService.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// A party is one JSON document (party:<id>) plus a pointer player:<id>:party per member;
+// invites are keys of their own (party:<id>:invite:<playerId>) that expire. Every change
+// to a party goes through the scripts below, which only write if the party is still what
+// it was read as, so concurrent leaves, kicks and joins never overwrite each other.
+
+// KEYS: party, pointer per member. ARGV: party JSON as read ('' for a new party), new JSON, ttl, partyId.
+const SAVE = `
+if (redis.call('GET', KEYS[1]) or '') ~= ARGV[1] then return 0 end
+for i = 2, #KEYS do
+  local pointer = redis.call('GET', KEYS[i])
+  if pointer and pointer ~= ARGV[4] then return 'Player is already in a party' end
+end
+
+redis.call('SETEX', KEYS[1], ARGV[3], ARGV[2])
+for i = 2, #KEYS do redis.call('SETEX', KEYS[i], ARGV[3], ARGV[4]) end
+return 1
+`;
+
+// KEYS: party, invite, pointer of the joining player, pointers of the other members. ARGV: as SAVE.
+const ACCEPT = `
+if redis.call('GET', KEYS[1]) ~= ARGV[1] then return 0 end
+if redis.call('GET', KEYS[2]) ~= ARGV[4] then return 'No pending invite for this party' end
+local pointer = redis.call('GET', KEYS[3])
+if pointer and pointer ~= ARGV[4] then return 'Player is already in a party' end
+
+redis.call('DEL', KEYS[2])
+redis.call('SETEX', KEYS[1], ARGV[3], ARGV[2])
+for i = 3, #KEYS do redis.call('SETEX', KEYS[i], ARGV[3], ARGV[4]) end
+return 1
+`;
+
+// KEYS: party, pointer of the leaving player, pointers of the remaining members.
+// ARGV: as SAVE, with an empty new JSON when the party disbands.
+const REMOVE = `
+if redis.call('GET', KEYS[1]) ~= ARGV[1] then return 0 end
+if redis.call('GET', KEYS[2]) == ARGV[4] then redis.call('DEL', KEYS[2]) end
+
+if ARGV[2] == '' then
+  redis.call('DEL', KEYS[1])
+  return 1
+end
+
+redis.call('SETEX', KEYS[1], ARGV[3], ARGV[2])
+for i = 3, #KEYS do redis.call('SETEX', KEYS[i], ARGV[3], ARGV[4]) end
+return 1
+`;
+
+const CHANGE_ATTEMPTS = 5;
+
+class PartyService {
+  constructor() {
+    this.playerService = new PlayerService();
+    this.maxPartySize = 5;
+    this.partyTTL = 3600;
+    this.inviteTTL = parseInt(process.env.PARTY_INVITE_TTL) || 300;
+  }
+
+  partyKey(partyId) {
+    return `party:${partyId}`;
+  }
+
+  pointerKey(playerId) {
+    return `player:${playerId}:party`;
+  }
+
+  inviteKey(partyId, playerId) {
+    return `party:${partyId}:invite:${playerId}`;
+  }
+
+  // `latency` is what the member reported when joining: { preferences, rtt }. Matchmaking
+  // combines every member's report when the party queues.
+  async createParty(leaderId, socketId, latency = null) {
+    const leader = await this.playerService.getPlayer(leaderId);
+    if (!leader) throw new Error('Player not found');
+    if (await this.getPlayerParty(leaderId)) throw new Error('Player is already in a party');
+
+    const party = {
+      id: uuidv4(),
+      leaderId,
+      members: [{ id: leaderId, username: leader.username, socketId, latency, joinedAt: Date.now() }],
+      createdAt: Date.now()
+    };
+
+    const reply = await RedisClient.evalScript(SAVE, [this.partyKey(party.id), this.pointerKey(leaderId)],
+      ['', JSON.stringify(party), this.partyTTL, party.id]);
+    if (reply !== 1) throw new Error(reply || 'Party could not be created');
+
+    console.log(`Party ${party.id} created by ${leaderId}`);
+    return party;
+  }
+
+  async getParty(partyId) {
+    const partyData = await RedisClient.get(this.partyKey(partyId));
+    return partyData ? JSON.parse(partyData) : null;
+  }
+
+  async getPlayerParty(playerId) {
+    const partyId = await RedisClient.get(this.pointerKey(playerId));
+    return partyId ? this.getParty(partyId) : null;
+  }
+
+  async invitePlayer(partyId, leaderId, targetId) {
+    const party = await this.requireLeader(partyId, leaderId);
+
+    const target = await this.playerService.getPlayer(targetId);
+    if (!target) throw new Error('Player not found');
+    if (party.members.some(m => m.id === targetId)) throw new Error('Player is already in this party');
+    if (party.members.length >= this.maxPartySize) throw new Error('Party is full');
+
+    await RedisClient.setEx(this.inviteKey(partyId, targetId), this.inviteTTL, partyId);
+    return party;
+  }
+
+  async acceptInvite(partyId, playerId, socketId, latency = null) {
+    const player = await this.playerService.getPlayer(playerId);
+    if (!player) throw new Error('Player not found');
+
+    const party = await this.changeParty(partyId, async party => {
+      if (await RedisClient.get(this.inviteKey(partyId, playerId)) !== partyId) throw new Error('No pending invite for this party');
+      if (await this.getPlayerParty(playerId)) throw new Error('Player is already in a party');
+      if (party.members.length >= this.maxPartySize) throw new Error('Party is full');
+
+      party.members.push({ id: playerId, username: player.username, socketId, latency, joinedAt: Date.now() });
+      const others = party.members.filter(m => m.id !== playerId).map(m => this.pointerKey(m.id));
+      return { script: ACCEPT, keys: [this.inviteKey(partyId, playerId), this.pointerKey(playerId), ...others], party };
+    });
+
+    console.log(`Player ${playerId} joined party ${partyId}`);
+    return party;
+  }
+
+  async leaveParty(playerId) {
+    const party = await this.getPlayerParty(playerId);
+    if (!party) throw new Error('Player is not in a party');
+
+    return this.removeMember(party.id, playerId);
+  }
+
+  async kickMember(partyId, leaderId, targetId) {
+    await this.requireLeader(partyId, leaderId);
+    if (targetId === leaderId) throw new Error('Party leader cannot kick themselves');
+
+    return this.removeMember(partyId, targetId, party => {
+      if (party.leaderId !== leaderId) throw new Error('Only the party leader can do that');
+    });
+  }
+
+  async updateMemberSocket(playerId, socketId) {
+    const party = await this.getPlayerParty(playerId);
+    if (!party) return null;
+
+    return this.changeParty(party.id, party => {
+      const member = party.members.find(m => m.id === playerId);
+      if (!member || member.socketId === socketId) return null;
+
+      member.socketId = socketId;
+      return { script: SAVE, keys: party.members.map(m => this.pointerKey(m.id)), party };
+    });
+  }
+
+  // `validate` runs against every fresh read of the party, before the member is taken out
+  async removeMember(partyId, playerId, validate = () => {}) {
+    const party = await this.changeParty(partyId, party => {
+      validate(party);
+      if (!party.members.some(m => m.id === playerId)) throw new Error('Player is not in this party');
+
+      party.members = party.members.filter(m => m.id !== playerId);
+      const keys = [this.pointerKey(playerId), ...party.members.map(m => this.pointerKey(m.id))];
+      if (party.members.length === 0) {
+        return { script: REMOVE, keys, party: { ...party, disbanded: true } };
+      }
+
+      // Promote the longest-standing member when the leader leaves
+      if (party.leaderId === playerId) {
+        party.leaderId = party.members[0].id;
+      }
+      return { script: REMOVE, keys, party };
+    });
+
+    console.log(party.disbanded ? `Party ${partyId} disbanded` : `Player ${playerId} left party ${partyId}`);
+    return party;
+  }
+
+  async requireLeader(partyId, playerId) {
+    const party = await this.getParty(partyId);
+    if (!party) throw new Error('Party not found');
+    if (party.leaderId !== playerId) throw new Error('Only the party leader can do that');
+    return party;
+  }
+
+  // Reads the party, lets `change` validate and edit it, then writes it with `change`'s script
+  // only if nobody changed the party in the meantime; otherwise it starts over from a fresh read.
+  // `change` returns { script, keys, party } or null to leave the party as it is.
+  async changeParty(partyId, change) {
+    for (let attempt = 0; attempt < CHANGE_ATTEMPTS; attempt++) {
+      const current = await RedisClient.get(this.partyKey(partyId));
+      if (!current) throw new Error('Party not found');
+
+      const changed = await change(JSON.parse(current));
+      if (!changed) return JSON.parse(current);
+
+      const { script, keys, party } = changed;
+      const reply = await RedisClient.evalScript(script, [this.partyKey(partyId), ...keys],
+        [current, party.disbanded ? '' : JSON.stringify(party), this.partyTTL, partyId]);
+
+      if (reply === 1) return party;
+      if (reply !== 0) throw new Error(reply);
+    }
+
+    throw new Error('Party is busy, try again');
+  }
+}
+
+export default PartyService;
@@ -1,94 +1,278 @@
 import RedisClient from '../config/redis.js';
+import EloCalculator from '../utils/EloCalculator.js';
+import Glicko2Calculator from '../utils/Glicko2Calculator.js';
+import RankTiers from '../utils/RankTiers.js';
+import SeasonService from './SeasonService.js';
+import GameModeRegistry from '../modes/GameModeRegistry.js';
+import FilePlayerRepository from '../repositories/FilePlayerRepository.js';
 import { v4 as uuidv4 } from 'uuid';
 
 class PlayerService {
-  constructor() {
-    this.eloK = 32;
+  // Players live in the repository; Redis is a write-through cache in front of it
+  constructor(repository = new FilePlayerRepository()) {
+    this.repository = repository;
+    this.cacheTTL = parseInt(process.env.PLAYER_CACHE_TTL) || 86400;
+    this.eloK = parseInt(process.env.ELO_K_FACTOR) || 32;
+    this.ratingSystem = process.env.RATING_SYSTEM || 'glicko2';
+    this.ratingPeriodMs = (parseFloat(process.env.GLICKO_RATING_PERIOD_DAYS) || 1) * 86400000;
+    this.seasonService = new SeasonService();
+    this.historyLimit = parseInt(process.env.PLAYER_HISTORY_LIMIT) || 200;
   }
 
-  async createPlayer(username, gameMode = 'fps') {
-    const playerId = uuidv4();
+  async createPlayer(username, gameMode = 'fps', playerId = uuidv4()) {
+    const season = await this.seasonService.getCurrentSeason();
+    const ratings = {};
+    const glicko = {};
+    for (const mode of GameModeRegistry.names()) {
+      ratings[mode] = Glicko2Calculator.defaults.rating;
+      glicko[mode] = this.createGlickoRating();
+    }
+
     const player = {
       id: playerId,
       username,
-      ratings: {
-        fps: 1000,
-        chess: 1000,
-        moba: 1000,
-        rts: 1000
-      },
+      ratings,
+      glicko,
       stats: {
         gamesPlayed: 0,
         wins: 0,
         losses: 0,
         draws: 0
       },
+      modeStats: {},
+      season: season.number,
+      placements: {},
       createdAt: Date.now(),
       lastActive: Date.now()
     };
 
-    await RedisClient.setEx(`player:${playerId}`, 86400, JSON.stringify(player));
-    await RedisClient.zAdd('leaderboard:global', [{ score: player.ratings[gameMode], value: playerId }]);
+    await this.savePlayer(player);
+    await RedisClient.zAdd('leaderboard:global', [{ score: player.ratings[gameMode] ?? Glicko2Calculator.defaults.rating, value: playerId }]);
 
     return player;
   }
 
   async getPlayer(playerId) {
     const playerData = await RedisClient.get(`player:${playerId}`);
-    return playerData ? JSON.parse(playerData) : null;
+    const player = playerData ? JSON.parse(playerData) : await this.loadPlayer(playerId);
+    if (!player) return null;
+
+    const season = await this.seasonService.getCurrentSeason();
+    if (this.seasonService.applySoftReset(player, season)) {
+      await this.savePlayer(player);
+    }
+
+    return player;
+  }
+
+  async loadPlayer(playerId) {
+    const player = await this.repository.get(playerId);
+    if (player) await this.cachePlayer(player);
+    return player;
+  }
+
+  async savePlayer(player) {
+    await this.repository.save(player);
+    await this.cachePlayer(player);
+  }
+
+  async cachePlayer(player) {
+    await RedisClient.setEx(`player:${player.id}`, this.cacheTTL, JSON.stringify(player));
+  }
+
+  getRanks(player) {
+    const ranks = {};
+    // Modes registered after the player was created fall back to the default rating
+    for (const gameMode of GameModeRegistry.names()) {
+      const remaining = this.seasonService.getPlacementsRemaining(player, gameMode);
+      ranks[gameMode] = RankTiers.getTier(player.ratings[gameMode] ?? Glicko2Calculator.defaults.rating, remaining);
+    }
+    return ranks;
   }
 
-  async updatePlayerRating(playerId, gameMode, opponentRating, result) {
+  createGlickoRating() {
+    const { rating, deviation, volatility } = Glicko2Calculator.defaults;
+    return { rating, deviation, volatility, lastPlayedAt: null };
+  }
+
+  // Current rating for a mode, with the deviation widened for time spent inactive.
+  // Elo only tracks the rating, so its deviation stays at the default.
+  getRatingProfile(player, gameMode) {
+    if (this.ratingSystem === 'elo') {
+      const { deviation, volatility } = Glicko2Calculator.defaults;
+      return { rating: player.ratings[gameMode] ?? Glicko2Calculator.defaults.rating, deviation, volatility };
+    }
+
+    const stored = player.glicko?.[gameMode] || {
+      ...this.createGlickoRating(),
+      rating: player.ratings[gameMode] || Glicko2Calculator.defaults.rating
+    };
+    const periods = Glicko2Calculator.getElapsedPeriods(stored.lastPlayedAt, this.ratingPeriodMs);
+    const profile = Glicko2Calculator.applyInactivity(stored, periods);
+
+    return {
+      rating: Math.round(profile.rating),
+      deviation: Math.round(profile.deviation),
+      volatility: profile.volatility
+    };
+  }
+
+  async updatePlayerRating(playerId, gameMode, opponent, result) {
+    // Opponents may be passed as a bare rating or as a { rating, deviation } profile
+    const opponentProfile = typeof opponent === 'number' ? { rating: opponent } : opponent;
+
+    return this.applyRatingResults(playerId, gameMode, [{
+      rating: opponentProfile.rating,
+      deviation: opponentProfile.deviation,
+      score: Glicko2Calculator.getActualScore(result)
+    }], result);
+  }
+
+  // Rates one player against every opponent (or opposing team) from a single match
+  async applyRatingResults(playerId, gameMode, opponents, result) {
     const player = await this.getPlayer(playerId);
     if (!player) throw new Error('Player not found');
+    if (!['win', 'loss', 'draw'].includes(result)) throw new Error('Invalid result');
 
-    const currentRating = player.ratings[gameMode];
-    const expectedScore = this.calculateExpectedScore(currentRating, opponentRating);
+    const results = opponents.map(o => ({
+      rating: o.rating,
+      deviation: o.deviation ?? Glicko2Calculator.defaults.deviation,
+      score: o.score
+    }));
 
-    let actualScore;
-    switch (result) {
-      case 'win': actualScore = 1; break;
-      case 'loss': actualScore = 0; break;
-      case 'draw': actualScore = 0.5; break;
-      default: throw new Error('Invalid result');
-    }
+    if (this.ratingSystem === 'elo') {
+      const current = player.ratings[gameMode] ?? Glicko2Calculator.defaults.rating;
+      const kFactor = this.eloK / results.length;
+      const change = results.reduce((sum, o) => {
+        const expected = EloCalculator.calculateExpectedScore(current, o.rating);
+        return sum + kFactor * (o.score - expected);
+      }, 0);
+      player.ratings[gameMode] = Math.max(100, Math.round(current + change));
+    } else {
+      const updated = Glicko2Calculator.calculateNewRating(this.getRatingProfile(player, gameMode), results);
 
-    const newRating = Math.round(currentRating + this.eloK * (actualScore - expectedScore));
-    player.ratings[gameMode] = Math.max(100, newRating); // Prevent very low ratings
+      player.glicko = player.glicko || {};
+      player.glicko[gameMode] = { ...updated, lastPlayedAt: Date.now() };
+      player.ratings[gameMode] = Math.max(100, Math.round(updated.rating)); // Prevent very low ratings
+    }
 
     // Update stats
     player.stats.gamesPlayed++;
     if (result === 'win') player.stats.wins++;
     else if (result === 'loss') player.stats.losses++;
     else player.stats.draws++;
+    this.updateModeStats(player, gameMode, result);
 
     player.lastActive = Date.now();
+    player.placements = player.placements || {};
+    player.placements[gameMode] = (player.placements[gameMode] || 0) + 1;
+
+    await this.savePlayer(player);
 
-    await RedisClient.setEx(`player:${playerId}`, 86400, JSON.stringify(player));
-    await RedisClient.zAdd(`leaderboard:${gameMode}`, [{ score: player.ratings[gameMode], value: playerId }]);
+    // Players only appear on the seasonal leaderboard once their placements are done
+    if (this.seasonService.getPlacementsRemaining(player, gameMode) === 0) {
+      await RedisClient.zAdd(`leaderboard:${gameMode}`, [{ score: player.ratings[gameMode], value: playerId }]);
+    }
 
     return player;
   }
 
+  createModeStats() {
+    return { gamesPlayed: 0, wins: 0, losses: 0, draws: 0, winStreak: 0, bestWinStreak: 0, peakRating: null };
+  }
+
+  updateModeStats(player, gameMode, result) {
+    player.modeStats = player.modeStats || {};
+    const stats = player.modeStats[gameMode] || this.createModeStats();
+
+    stats.gamesPlayed++;
+    if (result === 'win') stats.wins++;
+    else if (result === 'loss') stats.losses++;
+    else stats.draws++;
+
+    stats.winStreak = result === 'win' ? stats.winStreak + 1 : 0;
+    stats.bestWinStreak = Math.max(stats.bestWinStreak, stats.winStreak);
+    stats.peakRating = Math.max(stats.peakRating ?? 0, player.ratings[gameMode]);
+
+    player.modeStats[gameMode] = stats;
+  }
+
+  getPlayerStats(player, gameMode = null) {
+    const ranks = this.getRanks(player);
+    const modes = {};
+
+    for (const mode of gameMode ? [gameMode] : GameModeRegistry.names()) {
+      const stats = player.modeStats?.[mode] || this.createModeStats();
+      modes[mode] = {
+        ...stats,
+        winRate: stats.gamesPlayed > 0 ? Math.round((stats.wins / stats.gamesPlayed) * 1000) / 1000 : null,
+        rating: player.ratings[mode] ?? Glicko2Calculator.defaults.rating,
+        tier: ranks[mode].name
+      };
+    }
+
+    return { playerId: player.id, username: player.username, overall: player.stats, modes };
+  }
+
+  // Newest first, capped per list; each game is also filed under its mode for filtered paging
+  async addMatchHistory(playerId, entry) {
+    for (const key of [`player:${playerId}:history`, `player:${playerId}:history:${entry.gameMode}`]) {
+      await RedisClient.lPush(key, JSON.stringify(entry));
+      await RedisClient.lTrim(key, 0, this.historyLimit - 1);
+    }
+  }
+
+  async getMatchHistory(playerId, { gameMode = null, limit = 20, offset = 0 } = {}) {
+    const key = gameMode ? `player:${playerId}:history:${gameMode}` : `player:${playerId}:history`;
+    const [entries, total] = await Promise.all([
+      RedisClient.lRange(key, offset, offset + limit - 1),
+      RedisClient.lLen(key)
+    ]);
+
+    return { entries: entries.map(entry => JSON.parse(entry)), total };
+  }
+
+  async applyMatchResults(gameMode, outcomes) {
+    const updated = [];
+    for (const outcome of outcomes) {
+      updated.push(await this.applyRatingResults(outcome.playerId, gameMode, outcome.opponents, outcome.result));
+    }
+    return updated;
+  }
+
   calculateExpectedScore(playerRating, opponentRating) {
     return 1 / (1 + Math.pow(10, (opponentRating - playerRating) / 400));
   }
 
-  async getLeaderboard(gameMode = 'global', limit = 100) {
-    const key = `leaderboard:${gameMode}`;
-    const playersWithScores = await RedisClient.zRevRangeWithScores(key, 0, limit - 1);
+  async getPlayers(playerIds) {
+    const playersData = await RedisClient.mGet(playerIds.map(id => `player:${id}`));
+    return Promise.all(playersData.map((data, i) => (data ? JSON.parse(data) : this.loadPlayer(playerIds[i]))));
+  }
+
+  async getLeaderboard(gameMode = 'global', limit = 100, offset = 0) {
+    return this.getRankedEntries(`leaderboard:${gameMode}`, limit, offset);
+  }
+
+  async getSeasonLeaderboard(seasonNumber, gameMode, limit = 100, offset = 0) {
+    return this.getRankedEntries(`season:${seasonNumber}:leaderboard:${gameMode}`, limit, offset);
+  }
+
+  async getRankedEntries(key, limit, offset) {
+    const playersWithScores = await RedisClient.zRevRange(key, offset, offset + limit - 1, true);
+    const players = await this.getPlayers(playersWithScores.map(entry => entry.value));
 
     const leaderboard = [];
     for (let i = 0; i < playersWithScores.length; i++) {
       const { value: playerId, score: rating } = playersWithScores[i];
-      const player = await this.getPlayer(playerId);
+      const player = players[i];
 
       if (player) {
         leaderboard.push({
-          rank: i + 1,
+          rank: offset + i + 1,
           playerId,
           username: player.username,
           rating,
+          tier: RankTiers.getTier(rating).name,
           gamesPlayed: player.stats.gamesPlayed
         });
       }
@@ -96,6 +280,24 @@ class PlayerService {
 
     return leaderboard;
   }
+
+  async getLeaderboardSize(gameMode = 'global') {
+    return RedisClient.zCard(`leaderboard:${gameMode}`);
+  }
+
+  async getPlayerRank(gameMode, playerId) {
+    const rank = await RedisClient.zRevRank(`leaderboard:${gameMode}`, playerId);
+    return rank === null ? null : rank + 1;
+  }
+
+  async getLeaderboardAround(gameMode, playerId, radius = 5) {
+    const rank = await this.getPlayerRank(gameMode, playerId);
+    if (rank === null) return { rank: null, entries: [] };
+
+    const offset = Math.max(0, rank - 1 - radius);
+    const entries = await this.getLeaderboard(gameMode, rank - offset + radius, offset);
+    return { rank, entries };
+  }
 }
 
 export default PlayerService;
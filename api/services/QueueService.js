@@ -0,0 +1,194 @@
+import RedisClient from '../config/redis.js';
+import GameModeRegistry from '../modes/GameModeRegistry.js';
+
+const QUEUE_TTL = 3600;
+
+// Each queue is a sorted set of entry ids by rating (queue:<mode>) plus a hash of
+// entry id -> profile JSON (queue:<mode>:entries). Every queued player also has a
+// pointer queue:player:<id> = "<mode>:<entryId>", which is what makes joins unique
+// across modes. A pointer only counts while its entry still exists, so pointers
+// left behind by an expired queue never block anyone. All changes go through the
+// scripts below, which are handed every key they touch in KEYS; those keys must
+// live on one Redis node.
+
+// Drops the pointers in KEYS[first..] that still point at one of `released` ("<mode>:<entryId>" -> true)
+const RELEASE = `
+local function release(released, first)
+  for i = first, #KEYS do
+    local pointer = redis.call('GET', KEYS[i])
+    if pointer and released[pointer] then redis.call('DEL', KEYS[i]) end
+  end
+end
+`;
+
+// KEYS: queue, entries, pointer per member, then the entries hash of every mode.
+// ARGV: mode, entryId, rating, entry, ttl, member count, then the mode of each entries hash.
+// Returns nothing on success, or the pointer of the entry a member is already in.
+const JOIN = `
+local members = tonumber(ARGV[6])
+local entriesKeys = {}
+for i = 1, #KEYS - 2 - members do entriesKeys[ARGV[6 + i]] = KEYS[2 + members + i] end
+
+for i = 3, 2 + members do
+  local pointer = redis.call('GET', KEYS[i])
+  if pointer then
+    local mode, entryId = string.match(pointer, '^([^:]+):(.*)$')
+    local entriesKey = entriesKeys[mode]
+    if entriesKey and redis.call('HEXISTS', entriesKey, entryId) == 1 then return pointer end
+  end
+end
+
+redis.call('ZADD', KEYS[1], ARGV[3], ARGV[2])
+redis.call('HSET', KEYS[2], ARGV[2], ARGV[4])
+redis.call('EXPIRE', KEYS[1], ARGV[5])
+redis.call('EXPIRE', KEYS[2], ARGV[5])
+for i = 3, 2 + members do redis.call('SET', KEYS[i], ARGV[1] .. ':' .. ARGV[2]) end
+return false
+`;
+
+// KEYS: pointer of the leaving player, queue, entries, pointer per member of the entry.
+// ARGV: pointer and entry JSON as read ('' when the entry is gone), entryId.
+// Takes the player's whole entry (their party included) out and returns it, or 0 when
+// the pointer or entry changed since they were read.
+const LEAVE = `${RELEASE}
+if redis.call('GET', KEYS[1]) ~= ARGV[1] then return 0 end
+
+local entry = redis.call('HGET', KEYS[3], ARGV[3])
+if (entry or '') ~= ARGV[2] then return 0 end
+
+redis.call('DEL', KEYS[1])
+if not entry then return false end
+
+redis.call('ZREM', KEYS[2], ARGV[3])
+redis.call('HDEL', KEYS[3], ARGV[3])
+release({ [ARGV[1]] = true }, 4)
+return entry
+`;
+
+// KEYS: queue, entries, pointer per member of the claimed entries. ARGV: mode, then entryId
+// and entry JSON pairs as the matcher saw them.
+// All or nothing: fails if any entry left, was claimed elsewhere or changed since it was read.
+const CLAIM = `${RELEASE}
+for i = 2, #ARGV, 2 do
+  if redis.call('HGET', KEYS[2], ARGV[i]) ~= ARGV[i + 1] then return 0 end
+end
+
+local released = {}
+for i = 2, #ARGV, 2 do
+  redis.call('ZREM', KEYS[1], ARGV[i])
+  redis.call('HDEL', KEYS[2], ARGV[i])
+  released[ARGV[1] .. ':' .. ARGV[i]] = true
+end
+release(released, 3)
+return 1
+`;
+
+// KEYS: entries. ARGV: entryId, entry JSON as read, replacement. Only replaces an unchanged entry.
+const REPLACE = `
+if redis.call('HGET', KEYS[1], ARGV[1]) ~= ARGV[2] then return 0 end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+return 1
+`;
+
+const LEAVE_ATTEMPTS = 5;
+
+class QueueService {
+  queueKey(gameMode) {
+    return `queue:${gameMode}`;
+  }
+
+  entriesKey(gameMode) {
+    return `queue:${gameMode}:entries`;
+  }
+
+  pointerKey(playerId) {
+    return `queue:player:${playerId}`;
+  }
+
+  memberIds(entry) {
+    return entry.members ? entry.members.map(m => m.id) : [entry.id];
+  }
+
+  parsePointer(pointer) {
+    const separator = pointer.indexOf(':');
+    return { gameMode: pointer.slice(0, separator), entryId: pointer.slice(separator + 1) };
+  }
+
+  // Rejected, without touching the queue, if any member is already queued anywhere
+  async join(gameMode, entry) {
+    const memberIds = this.memberIds(entry);
+    const modes = [...new Set([gameMode, ...GameModeRegistry.names()])];
+    const keys = [
+      this.queueKey(gameMode),
+      this.entriesKey(gameMode),
+      ...memberIds.map(id => this.pointerKey(id)),
+      ...modes.map(mode => this.entriesKey(mode))
+    ];
+    const args = [gameMode, entry.id, entry.rating, JSON.stringify(entry), QUEUE_TTL, memberIds.length, ...modes];
+    const conflict = await RedisClient.evalScript(JOIN, keys, args);
+
+    if (conflict) {
+      const [mode] = conflict.split(':');
+      throw new Error(mode === gameMode ? `Already in the ${gameMode} queue` : `Already queued for ${mode}`);
+    }
+  }
+
+  // Returns the removed entry, or null when the player was not queued (for `gameMode`).
+  // The pointer and entry are read first so the script can be given their keys, and the
+  // read is retried if either changes before the script runs.
+  async leave(playerId, gameMode = null) {
+    for (let attempt = 0; attempt < LEAVE_ATTEMPTS; attempt++) {
+      const pointer = await RedisClient.get(this.pointerKey(playerId));
+      if (!pointer) return null;
+
+      const { gameMode: mode, entryId } = this.parsePointer(pointer);
+      if (gameMode && gameMode !== mode) return null;
+
+      const current = await RedisClient.hGet(this.entriesKey(mode), entryId);
+      const memberKeys = current ? this.memberIds(JSON.parse(current)).map(id => this.pointerKey(id)) : [];
+      const keys = [this.pointerKey(playerId), this.queueKey(mode), this.entriesKey(mode), ...memberKeys];
+
+      const entry = await RedisClient.evalScript(LEAVE, keys, [pointer, current || '', entryId]);
+      if (entry !== 0) return entry ? JSON.parse(entry) : null;
+    }
+
+    throw new Error('Queue is busy, try again');
+  }
+
+  async claim(gameMode, entries) {
+    const args = [gameMode, ...entries.flatMap(entry => [entry.id, JSON.stringify(entry)])];
+    const keys = [
+      this.queueKey(gameMode),
+      this.entriesKey(gameMode),
+      ...entries.flatMap(entry => this.memberIds(entry)).map(id => this.pointerKey(id))
+    ];
+    return (await RedisClient.evalScript(CLAIM, keys, args)) === 1;
+  }
+
+  // Points a queued player at their new socket, e.g. after reconnecting to another node.
+  // Returns the mode they are queued for, or null when they are not queued.
+  async updateSocket(playerId, socketId) {
+    const pointer = await RedisClient.get(this.pointerKey(playerId));
+    if (!pointer) return null;
+
+    const { gameMode, entryId } = this.parsePointer(pointer);
+    const current = await RedisClient.hGet(this.entriesKey(gameMode), entryId);
+    if (!current) return null;
+
+    const entry = JSON.parse(current);
+    if (entry.id === playerId) entry.socketId = socketId;
+    (entry.members || []).forEach(member => {
+      if (member.id === playerId) member.socketId = socketId;
+    });
+
+    const replaced = await RedisClient.evalScript(REPLACE, [this.entriesKey(gameMode)], [entryId, current, JSON.stringify(entry)]);
+    return replaced === 1 ? gameMode : null;
+  }
+
+  async getEntries(gameMode) {
+    const entries = await RedisClient.hVals(this.entriesKey(gameMode));
+    return entries.map(entry => JSON.parse(entry));
+  }
+}
+
+export default QueueService;
@@ -0,0 +1,84 @@
+import RedisClient from '../config/redis.js';
+
+const REPLAY_VERSION = 1;
+
+class ReplayService {
+  constructor() {
+    this.ttl = Math.round((parseFloat(process.env.REPLAY_TTL_DAYS) || 30) * 86400);
+    this.maxEntries = parseInt(process.env.REPLAY_MAX_ENTRIES) || 20000;
+  }
+
+  streamKey(gameId) {
+    return `replay:${gameId}`;
+  }
+
+  // The header is also kept on its own, so a replay whose stream was trimmed still loads
+  headerKey(gameId) {
+    return `replay:${gameId}:header`;
+  }
+
+  // Append-only: entries are only ever added to a game's stream, never rewritten. Past
+  // maxEntries the oldest ones are trimmed so one long game cannot grow Redis without bound.
+  async record(gameId, type, data) {
+    await RedisClient.xAdd(this.streamKey(gameId), {
+      t: String(Date.now()),
+      type,
+      data: JSON.stringify(data ?? null)
+    }, { maxLen: this.maxEntries });
+  }
+
+  async start(gameId, header) {
+    await RedisClient.setEx(this.headerKey(gameId), this.ttl, JSON.stringify({ t: Date.now(), type: 'created', data: header }));
+    await this.record(gameId, 'created', header);
+    await RedisClient.expire(this.streamKey(gameId), this.ttl);
+  }
+
+  async finish(gameId) {
+    await RedisClient.expire(this.streamKey(gameId), this.ttl);
+    await RedisClient.expire(this.headerKey(gameId), this.ttl);
+  }
+
+  async getReplay(gameId) {
+    const entries = (await RedisClient.xRange(this.streamKey(gameId))).map(({ message }) => ({
+      t: parseInt(message.t),
+      type: message.type,
+      data: JSON.parse(message.data)
+    }));
+    if (entries.length === 0) return null;
+
+    if (!entries.some(e => e.type === 'created')) {
+      const header = await RedisClient.get(this.headerKey(gameId));
+      if (header) entries.unshift(JSON.parse(header));
+    }
+
+    return ReplayService.buildReplay(gameId, entries);
+  }
+
+  // Compact format: one header, then [offsetMs, type, data] tuples relative to game creation
+  static buildReplay(gameId, entries) {
+    const created = entries.find(e => e.type === 'created');
+    if (!created) throw new Error('Replay is missing its header');
+
+    const start = created.t;
+    const ended = entries.find(e => e.type === 'update' && e.data?.type === 'game_ended');
+    const events = entries
+      .filter(e => e !== created)
+      .map(e => [e.t - start, e.type, e.data]);
+
+    return {
+      version: REPLAY_VERSION,
+      gameId,
+      gameMode: created.data.gameMode,
+      players: created.data.players,
+      teams: created.data.teams,
+      config: created.data.config,
+      createdAt: start,
+      duration: events.length > 0 ? events[events.length - 1][0] : 0,
+      finished: Boolean(ended),
+      result: ended ? ended.data.result : null,
+      events
+    };
+  }
+}
+
+export default ReplayService;
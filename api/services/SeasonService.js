@@ -0,0 +1,119 @@
+import RedisClient from '../config/redis.js';
+import Glicko2Calculator from '../utils/Glicko2Calculator.js';
+import GameModeRegistry from '../modes/GameModeRegistry.js';
+import ClusterService from './ClusterService.js';
+
+const ROLLOVER_LEASE = 'season-rollover';
+
+class SeasonService {
+  constructor() {
+    this.seasonLength = (parseFloat(process.env.SEASON_LENGTH_DAYS) || 90) * 86400000;
+    this.softResetFactor = parseFloat(process.env.SEASON_SOFT_RESET_FACTOR) || 0.5;
+    this.ratingMean = parseInt(process.env.SEASON_RATING_MEAN) || Glicko2Calculator.defaults.rating;
+    this.resetDeviation = parseInt(process.env.SEASON_RESET_DEVIATION) || 150;
+    this.placementMatches = parseInt(process.env.PLACEMENT_MATCHES) || 5;
+    this.cache = null;
+    this.cacheTTL = 10000;
+    this.cluster = new ClusterService();
+    this.rolloverLeaseMs = 60000;
+  }
+
+  async getCurrentSeason() {
+    if (this.cache && this.cache.expiresAt > Date.now()) {
+      return this.cache.season;
+    }
+
+    const seasonData = await RedisClient.get('season:current');
+    let season = seasonData ? JSON.parse(seasonData) : null;
+
+    if (!season) {
+      season = this.createSeason(1, Date.now());
+      await RedisClient.set('season:current', JSON.stringify(season));
+    }
+
+    this.cache = { season, expiresAt: Date.now() + this.cacheTTL };
+    return season;
+  }
+
+  createSeason(number, startedAt) {
+    return { number, startedAt, endsAt: startedAt + this.seasonLength };
+  }
+
+  async checkRollover() {
+    const season = await this.getCurrentSeason();
+    if (Date.now() < season.endsAt) return null;
+
+    // Every node checks, but only the lease holder rolls over, and only a season that is
+    // still current once it holds the lease; another node may have just rolled it over
+    if (!(await this.cluster.acquireLease(ROLLOVER_LEASE, this.rolloverLeaseMs))) return null;
+    try {
+      this.cache = null;
+      const current = await this.getCurrentSeason();
+      if (current.number !== season.number || Date.now() < current.endsAt) return null;
+      return await this.rolloverSeason(current);
+    } finally {
+      await this.cluster.releaseLease(ROLLOVER_LEASE);
+    }
+  }
+
+  async rolloverSeason(season) {
+    // Freeze the final standings; players re-enter the live boards after their placements
+    for (const gameMode of GameModeRegistry.names()) {
+      const liveKey = `leaderboard:${gameMode}`;
+      const standings = await RedisClient.zRevRange(liveKey, 0, -1, true);
+
+      if (standings.length > 0) {
+        await RedisClient.zAdd(`season:${season.number}:leaderboard:${gameMode}`, standings);
+      }
+      await RedisClient.del(liveKey);
+    }
+
+    const archived = { ...season, endedAt: Date.now() };
+    await RedisClient.set(`season:${season.number}`, JSON.stringify(archived));
+
+    const next = this.createSeason(season.number + 1, Date.now());
+    await RedisClient.set('season:current', JSON.stringify(next));
+    this.cache = { season: next, expiresAt: Date.now() + this.cacheTTL };
+
+    console.log(`Season ${season.number} archived, season ${next.number} started`);
+    return next;
+  }
+
+  async getSeason(number) {
+    const current = await this.getCurrentSeason();
+    if (number === current.number) return current;
+
+    const seasonData = await RedisClient.get(`season:${number}`);
+    return seasonData ? JSON.parse(seasonData) : null;
+  }
+
+  // Applied lazily the first time a player is loaded in a new season; returns true if anything changed
+  applySoftReset(player, season) {
+    const playerSeason = player.season || 1;
+    if (playerSeason >= season.number) return false;
+
+    const keep = Math.pow(1 - this.softResetFactor, season.number - playerSeason);
+
+    for (const gameMode of Object.keys(player.ratings)) {
+      const reset = Math.round(this.ratingMean + (player.ratings[gameMode] - this.ratingMean) * keep);
+      player.ratings[gameMode] = reset;
+
+      if (player.glicko?.[gameMode]) {
+        const glicko = player.glicko[gameMode];
+        glicko.rating = reset;
+        glicko.deviation = Math.max(glicko.deviation, this.resetDeviation);
+      }
+    }
+
+    player.season = season.number;
+    player.placements = {};
+    return true;
+  }
+
+  getPlacementsRemaining(player, gameMode) {
+    const played = player.placements?.[gameMode] || 0;
+    return Math.max(0, this.placementMatches - played);
+  }
+}
+
+export default SeasonService;
@@ -35,11 +35,37 @@ class StressTest {
     this.cleanup();
   }
 
+  // Registration is rate limited per IP; raise AUTH_RATE_LIMIT_MAX_REQUESTS on the server for large runs
+  async registerClient(clientId) {
+    const response = await fetch(`${this.serverUrl}/api/auth/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        username: `stress_${clientId}_${Date.now().toString(36)}`,
+        password: 'stress-test-password',
+        gameMode: 'fps'
+      })
+    });
+
+    if (!response.ok) throw new Error(`Registration failed with HTTP ${response.status}`);
+    return response.json();
+  }
+
   async createClient(clientId) {
+    let session;
+    try {
+      session = await this.registerClient(clientId);
+    } catch (error) {
+      this.metrics.errors++;
+      console.error(`Client ${clientId} error:`, error.message);
+      return;
+    }
+
     return new Promise((resolve) => {
       const socket = io(this.serverUrl, {
         transports: ['websocket'],
-        reconnection: false
+        reconnection: false,
+        auth: { token: session.token }
       });
 
       socket.on('connect', () => {
@@ -67,7 +93,7 @@ class StressTest {
         this.metrics.messagesReceived++;
       });
 
-      this.clients.push({ id: clientId, socket });
+      this.clients.push({ id: clientId, playerId: session.player.id, socket });
     });
   }
 
@@ -76,9 +102,7 @@ class StressTest {
 
     const joinPromises = this.clients.map(async (client, index) => {
       await this.sleep(index * 5);
-      const playerId = `player_${client.id}`;
       client.socket.emit('join_queue', {
-        playerId,
         gameMode: 'fps',
         preferences: { region: 'us-east' }
       });
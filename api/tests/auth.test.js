@@ -0,0 +1,105 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import AuthService from '../services/AuthService.js';
+import AuthMiddleware from '../middleware/auth.js';
+import FileAccountRepository from '../repositories/FileAccountRepository.js';
+import FilePlayerRepository from '../repositories/FilePlayerRepository.js';
+import PlayerService from '../services/PlayerService.js';
+import RedisClient from '../config/redis.js';
+import GameModeRegistry from '../modes/GameModeRegistry.js';
+
+let directory;
+let authService;
+
+beforeAll(async () => {
+  await GameModeRegistry.load();
+  await RedisClient.init();
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+});
+
+afterAll(async () => {
+  fs.rmSync(directory, { recursive: true, force: true });
+  await RedisClient.disconnect();
+});
+
+beforeEach(async () => {
+  await RedisClient.client.flushAll();
+  authService = new AuthService(
+    new FileAccountRepository(path.join(directory, 'accounts')),
+    new PlayerService(new FilePlayerRepository(path.join(directory, 'players')))
+  );
+});
+
+const handshake = token => new Promise(resolve => {
+  const socket = { handshake: { auth: token === undefined ? {} : { token } }, data: {} };
+  new AuthMiddleware(authService).socketMiddleware()(socket, error => resolve({ error, socket }));
+});
+
+test('should register an account and log back in with its password', async () => {
+  const { player, token } = await authService.register('Alice', 'correct horse', 'chess');
+  expect(authService.verifyToken(token)).toEqual({ playerId: player.id, username: 'Alice' });
+
+  const login = await authService.login('alice', 'correct horse');
+  expect(login.player.id).toBe(player.id);
+  await expect(authService.login('alice', 'wrong password')).rejects.toThrow('Invalid username or password');
+  await expect(authService.login('nobody', 'correct horse')).rejects.toThrow('Invalid username or password');
+});
+
+test('should let only one of two concurrent registrations take a name', async () => {
+  const results = await Promise.allSettled([
+    authService.register('bob', 'first password', 'chess'),
+    authService.register('Bob', 'second password', 'chess')
+  ]);
+
+  const registered = results.filter(result => result.status === 'fulfilled');
+  const rejected = results.filter(result => result.status === 'rejected');
+  expect(registered).toHaveLength(1);
+  expect(rejected[0].reason.message).toBe('Username is already taken');
+
+  const password = results[0].status === 'fulfilled' ? 'first password' : 'second password';
+  const login = await authService.login('bob', password);
+  expect(login.player.id).toBe(registered[0].value.player.id);
+});
+
+test('should reject socket handshakes without a valid token', async () => {
+  const { player, token } = await authService.register('carol', 'carol password', 'chess');
+
+  const accepted = await handshake(token);
+  expect(accepted.error).toBeUndefined();
+  expect(accepted.socket.data).toEqual({ playerId: player.id, username: 'carol' });
+
+  const forged = jwt.sign({ sub: player.id, username: 'carol' }, 'not the server secret');
+  expect((await handshake(undefined)).error.message).toBe('Authentication required');
+  expect((await handshake(forged)).error.message).toBe('Authentication required');
+});
+
+test('should keep accounts that Redis has lost', async () => {
+  const { player } = await authService.register('dave', 'dave password', 'chess');
+  await RedisClient.client.flushAll();
+
+  await expect(authService.register('Dave', 'other password', 'chess')).rejects.toThrow('Username is already taken');
+  const login = await authService.login('dave', 'dave password');
+  expect(login.player.id).toBe(player.id);
+  expect(JSON.parse(await RedisClient.get('account:dave')).playerId).toBe(player.id);
+});
+
+test('should only let requests with the server key through the server middleware', () => {
+  const auth = new AuthMiddleware(authService);
+  auth.serverKey = 'shared server key';
+  const check = key => {
+    let status = null;
+    const res = { status: code => ({ json: () => { status = code; } }) };
+    auth.serverMiddleware()({ headers: key === undefined ? {} : { 'x-server-key': key } }, res, () => { status = 'next'; });
+    return status;
+  };
+
+  expect(check('shared server key')).toBe('next');
+  expect(check('shared server kez')).toBe(403);
+  expect(check('short')).toBe(403);
+  expect(check(undefined)).toBe(403);
+
+  auth.serverKey = undefined;
+  expect(check('')).toBe(403);
+});
@@ -0,0 +1,63 @@
+import BatchMatcher from '../utils/BatchMatcher.js';
+import QueueSimulator from '../utils/QueueSimulator.js';
+import GameModeRegistry from '../modes/GameModeRegistry.js';
+import MatchmakingService from '../services/MatchmakingService.js';
+
+const rules = (size, maxDiff) => ({
+  size,
+  window: 8,
+  entrySize: entry => (entry.members ? entry.members.length : 1),
+  compatible: (a, b) => Math.abs(a.rating - b.rating) <= maxDiff,
+  fits: () => true,
+  accept: () => true,
+  score: entries => 2 - (Math.max(...entries.map(e => e.rating)) - Math.min(...entries.map(e => e.rating))) / 1000
+});
+
+const ids = matches => matches.map(match => match.map(entry => entry.id).sort());
+
+beforeAll(async () => {
+  await GameModeRegistry.load();
+});
+
+test('should pair 1v1 entries so that the most players get matched', () => {
+  const entries = [
+    { id: 'b', rating: 1090, joinedAt: 0 },
+    { id: 'c', rating: 1100, joinedAt: 1 },
+    { id: 'a', rating: 1000, joinedAt: 2 },
+    { id: 'd', rating: 1190, joinedAt: 3 }
+  ];
+
+  expect(ids(BatchMatcher.firstFit(entries, rules(2, 100)))).toEqual([['b', 'c']]);
+  expect(ids(BatchMatcher.match(entries, rules(2, 100)))).toEqual([['a', 'b'], ['c', 'd']]);
+});
+
+test('should require every member of a group to accept every other', () => {
+  const entries = [
+    { id: 'anchor', rating: 1100, joinedAt: 0 },
+    { id: 'low', rating: 1000, joinedAt: 1 },
+    { id: 'high', rating: 1200, joinedAt: 2 },
+    { id: 'mid', rating: 1120, joinedAt: 3 }
+  ];
+
+  // First come, first served takes the first pair that fits everyone; the batch matcher
+  // prefers the tighter of the two possible groups
+  expect(ids(BatchMatcher.firstFit(entries, rules(3, 120)))).toEqual([['anchor', 'low', 'mid']]);
+  expect(ids(BatchMatcher.match(entries, rules(3, 120)))).toEqual([['anchor', 'high', 'mid']]);
+});
+
+test('should replay a synthetic queue deterministically and report metrics', () => {
+  const options = { seed: 42, durationMs: 120000, arrivalsPerTick: 2, preferences: { timeControl: ['5+0', '10+0'] } };
+  const first = QueueSimulator.run(new MatchmakingService(), 'chess', options);
+  const second = QueueSimulator.run(new MatchmakingService(), 'chess', options);
+
+  expect(second).toEqual(first);
+  expect(first.matchedPlayers).toBe(first.matches * 2);
+  expect(first.waitMs.max).toBeGreaterThanOrEqual(first.waitMs.p50);
+  expect(first.quality.mean).toBeGreaterThan(0);
+
+  const greedy = new MatchmakingService();
+  greedy.applyPolicyOverride('chess', { batch: { strategy: 'greedy' } });
+  const baseline = QueueSimulator.run(greedy, 'chess', options);
+  expect(baseline.strategy).toBe('greedy');
+  expect(first.matches).toBeGreaterThanOrEqual(baseline.matches);
+});
@@ -0,0 +1,60 @@
+import BotProfiles from '../utils/BotProfiles.js';
+import ChessEngine from '../utils/ChessEngine.js';
+import GameModeRegistry from '../modes/GameModeRegistry.js';
+import MatchmakingService from '../services/MatchmakingService.js';
+
+let matchmakingService;
+
+beforeAll(async () => {
+  await GameModeRegistry.load();
+  matchmakingService = new MatchmakingService();
+});
+
+test('should pick the bot profile closest to a rating', () => {
+  expect(BotProfiles.forRating(0).name).toBe('Rookie');
+  expect(BotProfiles.forRating(1500).name).toBe('Veteran');
+  expect(BotProfiles.forRating(3000).name).toBe('Champion');
+  expect(BotProfiles.get('missing').name).toBe('Rookie');
+});
+
+test('should only backfill entries that waited past the bot threshold', () => {
+  matchmakingService.applyPolicyOverride('chess', { bots: { afterMs: 60000 } });
+  const now = Date.now();
+  const entries = [
+    { id: 'waited', rating: 1450, joinedAt: now - 90000, preferences: {} },
+    { id: 'fresh', rating: 1460, joinedAt: now - 1000, preferences: {} }
+  ];
+
+  const [match, ...rest] = matchmakingService.findBackfills(entries, 'chess', now);
+  expect(rest).toHaveLength(0);
+  expect(match.map(entry => entry.id)).toContain('waited');
+  expect(match.find(entry => entry.isBot)).toMatchObject({ botProfile: 'Veteran', rating: 1400 });
+  expect(matchmakingService.estimateMatchTime(1, 'chess', 30000)).toBe('~30s (with bots)');
+
+  matchmakingService.applyPolicyOverride('chess', null);
+  expect(matchmakingService.findBackfills(entries, 'chess', now)).toEqual([]);
+  expect(matchmakingService.findBackfills(entries, 'rts', now)).toEqual([]);
+});
+
+test('should backfill immediately when the bot threshold is configured as 0', () => {
+  process.env.BOT_BACKFILL_AFTER_MS = '0';
+  try {
+    const immediate = new MatchmakingService();
+    expect(immediate.getPolicy('chess').bots.afterMs).toBe(0);
+
+    const [match] = immediate.findBackfills([{ id: 'fresh', rating: 1460, joinedAt: Date.now(), preferences: {} }], 'chess');
+    expect(match.map(entry => entry.id)).toContain('fresh');
+  } finally {
+    delete process.env.BOT_BACKFILL_AFTER_MS;
+  }
+});
+
+test('should have chess bots play a legal move only on their turn', () => {
+  const { bot } = GameModeRegistry.get('chess');
+  const game = { chess: { board: new ChessEngine().toJSON(), colors: { w: 'bot-1', b: 'human' } } };
+
+  const { action, payload } = bot.act(game, { id: 'bot-1' }, BotProfiles.get('Elite'));
+  expect(action).toBe('move');
+  expect(() => new ChessEngine(game.chess.board).move(payload)).not.toThrow();
+  expect(bot.act(game, { id: 'human' }, BotProfiles.get('Elite'))).toBeNull();
+});
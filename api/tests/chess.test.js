@@ -0,0 +1,88 @@
+import ChessEngine from '../utils/ChessEngine.js';
+
+const perft = (state, depth) => {
+  if (depth === 0) return 1;
+  return ChessEngine.getLegalMoves(state)
+    .reduce((nodes, move) => nodes + perft(ChessEngine.applyMove(state, move), depth - 1), 0);
+};
+
+const play = (engine, moves) => moves.forEach(uci => {
+  engine.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] });
+});
+
+test('should generate the correct number of moves from the start position', () => {
+  expect(perft(ChessEngine.initialState(), 3)).toBe(8902);
+});
+
+test('should handle castling, en passant and promotion in perft positions', () => {
+  const kiwipete = ChessEngine.fromFEN('r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1');
+  expect(perft(kiwipete, 2)).toBe(2039);
+
+  const promotions = ChessEngine.fromFEN('n1n5/PPPk4/8/8/8/8/4Kppp/5N1N b - - 0 1');
+  expect(perft(promotions, 2)).toBe(496);
+});
+
+test('should reject illegal moves and moves out of turn', () => {
+  const engine = new ChessEngine();
+  expect(() => engine.move({ from: 'e2', to: 'e5' })).toThrow('Illegal move');
+  expect(() => engine.move({ from: 'e7', to: 'e5' })).toThrow('Illegal move');
+});
+
+test('should capture en passant and castle', () => {
+  const engine = new ChessEngine();
+  play(engine, ['e2e4', 'a7a6', 'e4e5', 'd7d5']);
+
+  const capture = engine.move({ from: 'e5', to: 'd6' });
+  expect(capture.flag).toBe('enpassant');
+  expect(engine.state.board[ChessEngine.squareToIndex('d5')]).toBeNull();
+
+  play(engine, ['a6a5', 'g1f3', 'a5a4', 'f1e2', 'a4a3']);
+  const castle = engine.move({ from: 'e1', to: 'g1' });
+  expect(castle.flag).toBe('castle');
+  expect(engine.toFEN().split(' ')[0]).toBe('rnbqkbnr/1pp1pppp/3P4/8/8/p4N2/PPPPBPPP/RNBQ1RK1');
+});
+
+test('should detect checkmate, stalemate and threefold repetition', () => {
+  const mate = new ChessEngine();
+  play(mate, ['f2f3', 'e7e5', 'g2g4', 'd8h4']);
+  expect(mate.status()).toEqual({ over: true, reason: 'checkmate', winner: 'b' });
+
+  const stalemate = new ChessEngine(ChessEngine.fromFEN('7k/5Q2/6K1/8/8/8/8/8 b - - 0 1'));
+  expect(stalemate.status().reason).toBe('stalemate');
+
+  const repetition = new ChessEngine();
+  play(repetition, ['g1f3', 'g8f6', 'f3g1', 'f6g8', 'g1f3', 'g8f6', 'f3g1', 'f6g8']);
+  expect(repetition.status().reason).toBe('threefold_repetition');
+});
+
+test('should apply the fifty-move rule', () => {
+  const engine = new ChessEngine(ChessEngine.fromFEN('4k3/8/8/8/8/8/R7/4K3 w - - 99 80'));
+  engine.move({ from: 'a2', to: 'a3' });
+  expect(engine.status().reason).toBe('fifty_move_rule');
+});
+
+test('should only count the en passant square when a legal capture exists', () => {
+  // The d4 pawn cannot take en passant: both pawns would leave the fourth rank and expose its king
+  const pinned = new ChessEngine(ChessEngine.fromFEN('8/8/8/8/k2p3R/8/4P3/4K3 w - - 0 1'));
+  pinned.move({ from: 'e2', to: 'e4' });
+  expect(ChessEngine.positionKey(pinned.state)).toBe(ChessEngine.positionKey(ChessEngine.fromFEN('8/8/8/8/k2pP2R/8/8/4K3 b - - 0 1')));
+
+  const capturable = new ChessEngine(ChessEngine.fromFEN('8/8/8/8/3p3R/k7/4P3/4K3 w - - 0 1'));
+  capturable.move({ from: 'e2', to: 'e4' });
+  expect(ChessEngine.positionKey(capturable.state)).not.toBe(ChessEngine.positionKey(ChessEngine.fromFEN('8/8/8/8/3pP2R/k7/8/4K3 b - - 0 1')));
+});
+
+test('should declare positions dead only when neither side can ever mate', () => {
+  const dead = fen => new ChessEngine(ChessEngine.fromFEN(fen)).status().reason === 'insufficient_material';
+
+  expect(dead('4k3/8/8/8/8/8/8/2B1K3 w - - 0 1')).toBe(true);
+  expect(dead('2b1k3/8/8/8/8/8/8/3BK3 w - - 0 1')).toBe(true);
+  expect(dead('3bk3/8/8/8/8/8/8/3BK3 w - - 0 1')).toBe(false);
+  expect(dead('4k3/8/8/8/8/8/8/1N2K3 w - - 0 1')).toBe(true);
+  expect(dead('1n2k3/8/8/8/8/8/8/1N2K3 w - - 0 1')).toBe(false);
+
+  const board = fen => ChessEngine.fromFEN(fen).board;
+  expect(ChessEngine.hasMatingMaterial(board('2b1k3/8/8/8/8/8/8/3BK3 w - - 0 1'), 'w')).toBe(false);
+  expect(ChessEngine.hasMatingMaterial(board('1n2k3/8/8/8/8/8/8/3BK3 w - - 0 1'), 'w')).toBe(true);
+  expect(ChessEngine.hasMatingMaterial(board('4k3/8/8/8/8/8/8/2BBK3 w - - 0 1'), 'w')).toBe(true);
+});
@@ -0,0 +1,55 @@
+import FPSSimulation from '../utils/FPSSimulation.js';
+
+const duel = (config = {}) => {
+  const simulation = FPSSimulation.create({ obstacles: [], ...config }, [{ id: 'a', team: 0 }, { id: 'b', team: 1 }], 0);
+  Object.assign(simulation.state.players.a, { x: 100, y: 500 });
+  Object.assign(simulation.state.players.b, { x: 400, y: 500 });
+  simulation.history = [];
+  simulation.record(0);
+  return simulation;
+};
+
+test('should clamp movement to max speed and the map bounds', () => {
+  const simulation = duel({ maxSpeed: 300 });
+
+  simulation.setInput('b', { position: { x: 400, y: 5000 } });
+  simulation.step(100);
+  expect(simulation.state.players.b.y).toBeCloseTo(530);
+
+  simulation.setInput('a', { position: { x: -500, y: 500 } });
+  simulation.step(1000);
+  expect(simulation.state.players.a.x).toBe(simulation.config.playerRadius);
+});
+
+test('should validate shots against positions rewound by the shooter latency', () => {
+  const simulation = duel();
+  simulation.setInput('b', { position: { x: 400, y: 900 } });
+  simulation.step(200);
+
+  const lagged = simulation.shoot('a', { target: { x: 400, y: 500 } }, 200, 200);
+  expect(lagged.hit).toMatchObject({ targetId: 'b', damage: 25 });
+  expect(lagged).toMatchObject({ x: simulation.state.players.a.x, y: simulation.state.players.a.y });
+
+  const current = simulation.shoot('a', { target: { x: 400, y: 500 } }, 500, 0);
+  expect(current.hit).toBeNull();
+  expect(() => simulation.shoot('a', { target: { x: 400, y: 500 } }, 550, 0)).toThrow('cooling down');
+});
+
+test('should not shoot through obstacles', () => {
+  const simulation = duel({ obstacles: [{ x: 200, y: 400, width: 20, height: 200 }] });
+  expect(simulation.shoot('a', { target: { x: 400, y: 500 } }, 1000, 0).hit).toBeNull();
+});
+
+test('should apply kills, respawns and end at the kill limit', () => {
+  const simulation = duel({ killLimit: 1, weaponDamage: 100, respawnDelayMs: 3000 });
+
+  const { hit } = simulation.shoot('a', { direction: { x: 1, y: 0 } }, 1000, 0);
+  expect(hit.killed).toBe(true);
+  expect(simulation.isOver()).toBe(true);
+  expect(simulation.getRanks()).toEqual({ a: 1, b: 2 });
+
+  simulation.step(2000);
+  expect(simulation.state.players.b.alive).toBe(false);
+  simulation.step(4000);
+  expect(simulation.state.players.b).toMatchObject({ alive: true, health: 100, deaths: 1 });
+});
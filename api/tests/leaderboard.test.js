@@ -0,0 +1,94 @@
+import PlayerService from '../services/PlayerService.js';
+import GameService from '../services/GameService.js';
+import SeasonService from '../services/SeasonService.js';
+import RedisClient from '../config/redis.js';
+import GameModeRegistry from '../modes/GameModeRegistry.js';
+
+let playerService;
+
+beforeAll(async () => {
+  await GameModeRegistry.load();
+  await RedisClient.init();
+  playerService = new PlayerService();
+});
+
+afterAll(async () => {
+  await RedisClient.disconnect();
+});
+
+beforeEach(async () => {
+  await RedisClient.client.flushAll();
+});
+
+const rankPlayers = async ratings => {
+  const players = [];
+  for (const [i, rating] of ratings.entries()) {
+    const player = await playerService.createPlayer(`ranked${i}`, 'chess');
+    await RedisClient.zAdd('leaderboard:chess', [{ score: rating, value: player.id }]);
+    players.push(player);
+  }
+  return players;
+};
+
+test('should page the leaderboard from the top rating down', async () => {
+  await rankPlayers([1500, 1700, 1600, 1400, 1800]);
+
+  const page = await playerService.getLeaderboard('chess', 2, 2);
+  expect(page.map(entry => [entry.rank, entry.username, entry.rating])).toEqual([[3, 'ranked2', 1600], [4, 'ranked0', 1500]]);
+  expect(await playerService.getLeaderboardSize('chess')).toBe(5);
+  expect(await playerService.getLeaderboard('chess', 2, 10)).toEqual([]);
+});
+
+test('should list the players ranked around a player', async () => {
+  const players = await rankPlayers([1500, 1700, 1600, 1400, 1800]);
+
+  const { rank, entries } = await playerService.getLeaderboardAround('chess', players[2].id, 1);
+  expect(rank).toBe(3);
+  expect(entries.map(entry => entry.rank)).toEqual([2, 3, 4]);
+
+  const top = await playerService.getLeaderboardAround('chess', players[4].id, 2);
+  expect(top.entries.map(entry => entry.username)).toEqual(['ranked4', 'ranked1', 'ranked2']);
+
+  const unranked = await playerService.createPlayer('unranked', 'chess');
+  expect(await playerService.getLeaderboardAround('chess', unranked.id)).toEqual({ rank: null, entries: [] });
+});
+
+test('should push leaderboard updates when a result moves players into the top ranks', async () => {
+  const gameService = new GameService();
+  const placed = [];
+  for (const name of ['winner', 'loser']) {
+    const player = await playerService.createPlayer(name, 'chess');
+    player.placements = { chess: playerService.seasonService.placementMatches };
+    await playerService.savePlayer(player);
+    placed.push(player);
+  }
+
+  const updates = [];
+  gameService.on('leaderboard_update', (gameMode, entry) => updates.push({ gameMode, ...entry }));
+
+  const players = placed.map(p => ({ id: p.id, username: p.username, rating: p.ratings.chess }));
+  await gameService.createGame('leaderboard-game', players, 'chess');
+  gameService.clearGameTimers('leaderboard-game');
+  await gameService.endGame('leaderboard-game', placed[0].id);
+
+  expect(updates).toEqual([
+    expect.objectContaining({ gameMode: 'chess', playerId: placed[0].id, rank: 1, previousRank: null }),
+    expect.objectContaining({ gameMode: 'chess', playerId: placed[1].id, rank: 2, previousRank: null })
+  ]);
+  expect(updates[0].rating).toBeGreaterThan(updates[1].rating);
+});
+
+test('should archive an ended season once even when several nodes roll over together', async () => {
+  await rankPlayers([1500, 1700]);
+  const nodes = [new SeasonService(), new SeasonService()];
+  nodes[1].cluster.nodeId = 'other-node';
+  await RedisClient.set('season:current', JSON.stringify({ number: 3, startedAt: 0, endsAt: Date.now() - 1000 }));
+
+  const results = await Promise.all(nodes.map(node => node.checkRollover()));
+  expect(results.filter(Boolean)).toEqual([expect.objectContaining({ number: 4 })]);
+  expect(await nodes[0].checkRollover()).toBeNull();
+
+  expect(JSON.parse(await RedisClient.get('season:current')).number).toBe(4);
+  expect((await playerService.getSeasonLeaderboard(3, 'chess')).map(entry => entry.rating)).toEqual([1700, 1500]);
+  expect(await playerService.getLeaderboardSize('chess')).toBe(0);
+});
@@ -1,11 +1,18 @@
 import MatchmakingService from '../services/MatchmakingService.js';
 import PlayerService from '../services/PlayerService.js';
+import PartyService from '../services/PartyService.js';
 import RedisClient from '../config/redis.js';
+import TeamBalancer from '../utils/TeamBalancer.js';
+import MatchmakingPolicy from '../utils/MatchmakingPolicy.js';
+import GameModeRegistry from '../modes/GameModeRegistry.js';
+import ClusterService from '../services/ClusterService.js';
+import GameService from '../services/GameService.js';
 
 let matchmakingService;
 let playerService;
 
 beforeAll(async () => {
+  await GameModeRegistry.load();
   matchmakingService = new MatchmakingService();
   playerService = new PlayerService();
 });
@@ -41,6 +48,108 @@ test('should remove player from queue', async () => {
   expect(queueStatus.fps.playersInQueue).toBe(0);
 });
 
+test('should reject duplicate joins and treat repeated leaves as no-ops', async () => {
+  const player = await playerService.createPlayer('testPlayer', 'fps');
+
+  await matchmakingService.addToQueue(player.id, 'fps', {}, 'socket123');
+  await expect(matchmakingService.addToQueue(player.id, 'fps', {}, 'socket123')).rejects.toThrow('Already in the fps queue');
+  await expect(matchmakingService.addToQueue(player.id, 'chess', {}, 'socket123')).rejects.toThrow('Already queued for fps');
+
+  expect(await matchmakingService.removeFromQueue(player.id, 'fps')).toBe(true);
+  expect(await matchmakingService.removeFromQueue(player.id, 'fps')).toBe(false);
+  await matchmakingService.addToQueue(player.id, 'chess', {}, 'socket123');
+});
+
+test('should take a whole party out of the queue when any member leaves', async () => {
+  const { queueService } = matchmakingService;
+  const party = { id: 'lead', rating: 1000, members: [{ id: 'lead' }, { id: 'member' }] };
+  await queueService.join('fps', party);
+  await expect(queueService.join('chess', { id: 'member', rating: 1000 })).rejects.toThrow('Already queued for fps');
+
+  const [left, again] = await Promise.all([queueService.leave('member'), queueService.updateSocket('lead', 'new-socket')]);
+  expect(left.id).toBe('lead');
+  expect(again === null || again === 'fps').toBe(true);
+  expect(await queueService.getEntries('fps')).toEqual([]);
+  expect(await RedisClient.get(queueService.pointerKey('lead'))).toBeNull();
+  expect(await queueService.leave('lead')).toBeNull();
+});
+
+test('should claim queue entries for only one match', async () => {
+  const a = await playerService.createPlayer('playerA', 'chess');
+  const b = await playerService.createPlayer('playerB', 'chess');
+  await matchmakingService.addToQueue(a.id, 'chess', {}, 'socketA');
+  await matchmakingService.addToQueue(b.id, 'chess', {}, 'socketB');
+
+  const entries = await matchmakingService.queueService.getEntries('chess');
+  const claims = await Promise.all([
+    matchmakingService.queueService.claim('chess', entries),
+    matchmakingService.queueService.claim('chess', entries)
+  ]);
+
+  expect(claims.filter(Boolean)).toHaveLength(1);
+  expect(await matchmakingService.queueService.getEntries('chess')).toEqual([]);
+  expect(await matchmakingService.removeFromQueue(a.id, 'chess')).toBe(false);
+});
+
+test('should hold a lease on one node until it lapses', async () => {
+  const nodeA = new ClusterService();
+  const nodeB = new ClusterService();
+  nodeB.nodeId = 'other-node';
+
+  expect(await nodeA.acquireLease('matchmaking:chess', 200)).toBe(true);
+  expect(await nodeB.acquireLease('matchmaking:chess', 200)).toBe(false);
+  expect(await nodeA.acquireLease('matchmaking:chess', 200)).toBe(true);
+
+  await new Promise(resolve => setTimeout(resolve, 300));
+  expect(await nodeB.acquireLease('matchmaking:chess', 200)).toBe(true);
+  expect(await nodeA.releaseLease('matchmaking:chess')).toBe(false);
+  expect(await nodeB.getLeaseHolder('matchmaking:chess')).toBe('other-node');
+});
+
+test('should resume a suspended game on another node with its pending timers', async () => {
+  const host = new GameService();
+  const successor = new GameService();
+  successor.cluster.nodeId = 'successor-node';
+
+  const players = [{ id: 'p1', username: 'p1', rating: 1500 }, { id: 'p2', username: 'p2', rating: 1500 }];
+  await host.createGame('handoff-game', players, 'chess');
+  await host.suspendGame('handoff-game');
+  expect(host.activeGames.has('handoff-game')).toBe(false);
+
+  await successor.adoptOrphanedGames();
+  expect(successor.activeGames.has('handoff-game')).toBe(true);
+  expect([...successor.gameTimers.get('handoff-game').keys()]).toEqual(['start']);
+
+  successor.clearGameTimers('handoff-game');
+});
+
+test('should not bring back a stale fps simulation after losing and regaining a game', async () => {
+  const host = new GameService();
+  const successor = new GameService();
+  successor.cluster.nodeId = 'successor-node';
+
+  const players = [{ id: 'p1', username: 'p1', rating: 1500 }, { id: 'p2', username: 'p2', rating: 1500 }];
+  await host.createGame('lost-game', players, 'fps');
+  host.clearGameTimer('lost-game', 'start');
+  await host.startGame('lost-game');
+
+  await host.cluster.releaseLease(host.ownerLease('lost-game'));
+  await successor.cluster.acquireLease(successor.ownerLease('lost-game'), successor.ownershipTTL);
+  await host.renewOwnership();
+  expect(host.activeGames.has('lost-game')).toBe(false);
+
+  // The successor plays on and then crashes
+  const game = JSON.parse(await RedisClient.get('game:lost-game'));
+  game.fps.tick = 500;
+  await RedisClient.setEx('game:lost-game', 7200, JSON.stringify(game));
+  await successor.cluster.releaseLease(successor.ownerLease('lost-game'));
+
+  await host.adoptOrphanedGames();
+  host.clearGameTimers('lost-game');
+  await host.suspendGame('lost-game');
+  expect(JSON.parse(await RedisClient.get('game:lost-game')).fps.tick).toBe(500);
+});
+
 test('should find compatible players', () => {
   const now = Date.now();
   const players = [
@@ -60,3 +169,156 @@ test('should update rating correctly on win', async () => {
 
   expect(updated.ratings.chess).toBeGreaterThan(1000);
 });
+
+test('should match on the elo rating when elo is the rating system', async () => {
+  const eloService = new PlayerService();
+  eloService.ratingSystem = 'elo';
+  const winner = await eloService.createPlayer('eloWinner', 'chess');
+  const loser = await eloService.createPlayer('eloLoser', 'chess');
+
+  for (let game = 0; game < 2; game++) {
+    const winnerProfile = eloService.getRatingProfile(await eloService.getPlayer(winner.id), 'chess');
+    const loserProfile = eloService.getRatingProfile(await eloService.getPlayer(loser.id), 'chess');
+    await eloService.updatePlayerRating(winner.id, 'chess', loserProfile, 'win');
+    await eloService.updatePlayerRating(loser.id, 'chess', winnerProfile, 'loss');
+  }
+
+  const winnerProfile = eloService.getRatingProfile(await eloService.getPlayer(winner.id), 'chess');
+  const loserProfile = eloService.getRatingProfile(await eloService.getPlayer(loser.id), 'chess');
+  expect(winnerProfile.rating).toBe(1031);
+  expect(loserProfile.rating).toBe(969);
+});
+
+test('should track per-mode stats and page match history by mode', async () => {
+  const player = await playerService.createPlayer('testHistory', 'chess');
+  await playerService.updatePlayerRating(player.id, 'chess', 1000, 'win');
+  await playerService.addMatchHistory(player.id, { gameId: 'g1', gameMode: 'chess', result: 'win' });
+  await playerService.addMatchHistory(player.id, { gameId: 'g2', gameMode: 'fps', result: 'loss' });
+
+  const stats = playerService.getPlayerStats(await playerService.getPlayer(player.id), 'chess');
+  expect(stats.modes.chess).toMatchObject({ gamesPlayed: 1, wins: 1, winStreak: 1 });
+
+  const all = await playerService.getMatchHistory(player.id, { limit: 1 });
+  expect(all.total).toBe(2);
+  expect(all.entries.map(e => e.gameId)).toEqual(['g2']);
+
+  const chess = await playerService.getMatchHistory(player.id, { gameMode: 'chess' });
+  expect(chess.entries.map(e => e.gameId)).toEqual(['g1']);
+});
+
+test('should keep a queued party together in one match', () => {
+  const now = Date.now();
+  const party = {
+    id: 'leader',
+    partyId: 'party1',
+    rating: 1020,
+    joinedAt: now,
+    members: ['leader', 'm1', 'm2', 'm3', 'm4'].map(id => ({ id, rating: 1020 }))
+  };
+  const solos = ['1', '2', '3', '4', '5', '6'].map(id => ({ id, rating: 1000, joinedAt: now }));
+
+  const matches = matchmakingService.findMatches([...solos, party], 'fps');
+  expect(matches).toHaveLength(1);
+
+  const players = matches[0].flatMap(entry => matchmakingService.expandEntry(entry));
+  expect(players).toHaveLength(10);
+  expect(players.filter(p => p.partyId === 'party1')).toHaveLength(5);
+});
+
+test('should queue a party at its worst member\'s latency and lowest limit', async () => {
+  const partyService = new PartyService();
+  const leader = await playerService.createPlayer('partyLeader', 'fps');
+  const member = await playerService.createPlayer('partyMember', 'fps');
+
+  const party = await partyService.createParty(leader.id, 'socket-leader');
+  await partyService.invitePlayer(party.id, leader.id, member.id);
+  await partyService.acceptInvite(party.id, member.id, 'socket-member', {
+    preferences: { latencies: { 'us-east': 90, 'us-west': 40 }, maxLatency: 120 }
+  });
+
+  await matchmakingService.addToQueue(leader.id, 'fps', { latencies: { 'us-east': 20, 'us-west': 70, 'eu-west': 110 } }, 'socket-leader');
+  const [entry] = await matchmakingService.queueService.getEntries('fps');
+  expect(entry.latencies).toEqual({ 'us-east': 90, 'us-west': 70 });
+  expect(entry.maxLatency).toBe(120);
+
+  await matchmakingService.removeFromQueue(leader.id, 'fps');
+  await expect(matchmakingService.addToQueue(leader.id, 'fps', { latencies: { 'us-east': 130 } }, 'socket-leader'))
+    .rejects.toThrow('No region is within your 120ms latency limit');
+});
+
+test('should expire party invites and not lose a leave and a kick made at once', async () => {
+  const partyService = new PartyService();
+  const [leader, a, b] = await Promise.all(['partyLead', 'partyA', 'partyB'].map(name => playerService.createPlayer(name, 'fps')));
+
+  const party = await partyService.createParty(leader.id, 'socket-leader');
+  for (const member of [a, b]) {
+    await partyService.invitePlayer(party.id, leader.id, member.id);
+    expect(await RedisClient.client.ttl(partyService.inviteKey(party.id, member.id))).toBeGreaterThan(0);
+    await partyService.acceptInvite(party.id, member.id, `socket-${member.id}`);
+  }
+  await expect(partyService.acceptInvite(party.id, a.id, 'socket-a')).rejects.toThrow('No pending invite for this party');
+
+  await Promise.all([partyService.leaveParty(a.id), partyService.kickMember(party.id, leader.id, b.id)]);
+  const remaining = await partyService.getParty(party.id);
+  expect(remaining.members.map(m => m.id)).toEqual([leader.id]);
+  expect(await partyService.getPlayerParty(a.id)).toBeNull();
+  expect(await partyService.getPlayerParty(b.id)).toBeNull();
+
+  const disbanded = await partyService.leaveParty(leader.id);
+  expect(disbanded.disbanded).toBe(true);
+  expect(await partyService.getParty(party.id)).toBeNull();
+  expect(await partyService.getPlayerParty(leader.id)).toBeNull();
+});
+
+test('should balance 5v5 teams and keep parties on one team', () => {
+  const ratings = [1500, 1400, 1300, 1200, 1100, 1000, 900, 800, 700, 600];
+  const players = ratings.map((rating, i) => ({ id: String(i), rating }));
+  players[0].partyId = 'duo';
+  players[9].partyId = 'duo';
+
+  const teams = TeamBalancer.balance(players, 5);
+  expect(teams).toHaveLength(2);
+  expect(teams[0].players).toHaveLength(5);
+  expect(teams[1].players).toHaveLength(5);
+  expect(Math.abs(teams[0].averageRating - teams[1].averageRating)).toBeLessThanOrEqual(20);
+
+  const duoTeam = teams.find(t => t.players.includes('0'));
+  expect(duoTeam.players).toContain('9');
+});
+
+test('should widen each player\'s search by their own wait under the mode policy', () => {
+  const now = Date.now();
+  const veteran = { id: 'veteran', rating: 1000, joinedAt: now - 60000, preferences: { timeControl: '5+0' } };
+  const newcomer = { id: 'newcomer', rating: 1200, joinedAt: now, preferences: { timeControl: '10+0' } };
+  const waiting = { id: 'waiting', rating: 1200, joinedAt: now - 60000, preferences: { timeControl: '10+0' } };
+
+  expect(matchmakingService.arePlayersCompatible(veteran, newcomer, 'chess', now)).toBe(false);
+  expect(matchmakingService.arePlayersCompatible(veteran, waiting, 'chess', now)).toBe(true);
+  expect(matchmakingService.arePlayersCompatible(veteran, { ...waiting, joinedAt: now - 30000 }, 'chess', now)).toBe(false);
+});
+
+test('should resolve matchmaking policy curves, caps and quality', () => {
+  const linear = MatchmakingPolicy.resolve({ ratingWindow: { initial: 100, step: 50, intervalMs: 10000, max: 220 } });
+  expect([0, 10000, 20000, 90000].map(wait => MatchmakingPolicy.ratingWindow(linear, wait))).toEqual([100, 150, 200, 220]);
+  expect(MatchmakingPolicy.expansionLevel(linear, 90000)).toBe(3);
+
+  const exponential = MatchmakingPolicy.resolve({ ratingWindow: { initial: 100, growth: 'exponential', factor: 2, max: 500 } });
+  expect([0, 10000, 20000, 30000].map(wait => MatchmakingPolicy.ratingWindow(exponential, wait))).toEqual([100, 200, 400, 500]);
+
+  expect(() => MatchmakingPolicy.resolve({ ratingWindow: { growth: 'cubic' } })).toThrow('growth');
+  expect(() => MatchmakingPolicy.resolve({ tiers: {} })).toThrow('Unknown matchmaking policy section');
+
+  const players = [{ rating: 1000 }, { rating: 1000 }];
+  expect(MatchmakingPolicy.quality(linear, { players })).toBe(1);
+  expect(MatchmakingPolicy.quality(linear, { players: [{ rating: 1000 }, { rating: 1110 }] })).toBe(0.5);
+});
+
+test('game mode registry loads the built-in modes', () => {
+  expect(GameModeRegistry.names()).toEqual(expect.arrayContaining(['chess', 'fps', 'moba', 'rts']));
+  expect(matchmakingService.getPlayersPerMatch('fps')).toBe(10);
+  expect(() => GameModeRegistry.get('curling')).toThrow('Unknown game mode');
+});
+
+test('game mode registry rejects modes that cannot split into teams', () => {
+  expect(() => GameModeRegistry.register({ name: 'odd', playersPerMatch: 5, teamSize: 2 })).toThrow();
+});
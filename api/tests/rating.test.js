@@ -0,0 +1,71 @@
+import Glicko2Calculator from '../utils/Glicko2Calculator.js';
+import MultiplayerRating from '../utils/MultiplayerRating.js';
+import RankTiers from '../utils/RankTiers.js';
+
+test('should match the Glicko-2 reference example', () => {
+  const player = { rating: 1500, deviation: 200, volatility: 0.06 };
+  const results = [
+    { rating: 1400, deviation: 30, score: 1 },
+    { rating: 1550, deviation: 100, score: 0 },
+    { rating: 1700, deviation: 300, score: 0 }
+  ];
+
+  const updated = Glicko2Calculator.calculateNewRating(player, results);
+  expect(updated.rating).toBeCloseTo(1464.06, 1);
+  expect(updated.deviation).toBeCloseTo(151.52, 1);
+  expect(updated.volatility).toBeCloseTo(0.05999, 4);
+});
+
+test('should move uncertain ratings further than established ones', () => {
+  const opponent = { rating: 1000, deviation: 50, score: 1 };
+  const newcomer = Glicko2Calculator.calculateNewRating({ rating: 1000, deviation: 350 }, [opponent]);
+  const veteran = Glicko2Calculator.calculateNewRating({ rating: 1000, deviation: 50 }, [opponent]);
+
+  expect(newcomer.rating - 1000).toBeGreaterThan((veteran.rating - 1000) * 5);
+  expect(newcomer.deviation).toBeLessThan(350);
+});
+
+test('should grow deviation during inactivity', () => {
+  const player = { rating: 1200, deviation: 50, volatility: 0.06 };
+  const rested = Glicko2Calculator.applyInactivity(player, 30);
+
+  expect(rested.deviation).toBeGreaterThan(70);
+  expect(Glicko2Calculator.applyInactivity(player, 100000).deviation).toBe(350);
+  expect(Glicko2Calculator.uncertaintyMargin(50, 50)).toBe(0);
+  expect(Glicko2Calculator.uncertaintyMargin(350, 350)).toBeGreaterThan(200);
+});
+
+test('should rate team players against the opposing team as one opponent', () => {
+  const players = [
+    { id: 'a', rating: 1100, deviation: 100, team: 0, rank: 1 },
+    { id: 'b', rating: 900, deviation: 100, team: 0, rank: 1 },
+    { id: 'c', rating: 1000, deviation: 100, team: 1, rank: 2 },
+    { id: 'd', rating: 1000, deviation: 100, team: 1, rank: 2 }
+  ];
+
+  const outcomes = MultiplayerRating.buildOutcomes(players);
+  expect(outcomes.map(o => o.result)).toEqual(['win', 'win', 'loss', 'loss']);
+  expect(outcomes[0].opponents).toEqual([{ rating: 1000, deviation: 100, score: 1 }]);
+});
+
+test('should rate free-for-all placements pairwise', () => {
+  const players = [
+    { id: 'a', rating: 1000, rank: 2 },
+    { id: 'b', rating: 1000, rank: 1 },
+    { id: 'c', rating: 1000, rank: 2 }
+  ];
+
+  const [a, b] = MultiplayerRating.buildOutcomes(players);
+  expect(b.result).toBe('win');
+  expect(a.result).toBe('loss');
+  expect(a.opponents.map(o => o.score)).toEqual([0, 0.5]);
+});
+
+test('should map ratings to tiers and divisions', () => {
+  expect(RankTiers.getTier(100).name).toBe('Bronze IV');
+  expect(RankTiers.getTier(1100).name).toBe('Gold IV');
+  expect(RankTiers.getTier(1299).name).toBe('Gold I');
+  expect(RankTiers.getTier(1750).name).toBe('Master');
+  expect(RankTiers.getTier(2400).name).toBe('Grandmaster');
+  expect(RankTiers.getTier(1600, 3)).toEqual({ tier: 'Unranked', division: null, name: 'Unranked', placementsRemaining: 3 });
+});
@@ -0,0 +1,106 @@
+import MatchmakingService from '../services/MatchmakingService.js';
+import PlayerService from '../services/PlayerService.js';
+import RedisClient from '../config/redis.js';
+import RabbitMQClient from '../config/rabbitmq.js';
+import GameModeRegistry from '../modes/GameModeRegistry.js';
+
+let matchmakingService;
+let players;
+
+beforeAll(async () => {
+  await GameModeRegistry.load();
+  await RedisClient.init();
+  await RabbitMQClient.connect();
+});
+
+afterAll(async () => {
+  await RabbitMQClient.close();
+  await RedisClient.disconnect();
+});
+
+beforeEach(async () => {
+  await RedisClient.client.flushAll();
+  matchmakingService = new MatchmakingService();
+
+  const playerService = new PlayerService();
+  players = [];
+  for (const name of ['alice', 'bob']) {
+    const player = await playerService.createPlayer(name, 'chess');
+    await matchmakingService.addToQueue(player.id, 'chess', {}, `socket-${name}`);
+    players.push(player);
+  }
+});
+
+afterEach(() => {
+  matchmakingService.readyChecks.forEach(check => clearTimeout(check.timer));
+  matchmakingService.gameService.activeGames.forEach((game, gameId) => matchmakingService.gameService.clearGameTimers(gameId));
+});
+
+const startCheck = async service => {
+  const joinedAt = Object.fromEntries((await service.queueService.getEntries('chess')).map(entry => [entry.id, entry.joinedAt]));
+  const started = new Promise(resolve => service.once('match_ready_check', resolve));
+  await service.processMatchmaking('chess');
+  return { matchId: (await started).matchId, joinedAt };
+};
+
+const failure = service => new Promise(resolve => service.once('match_ready_check_failed', resolve));
+
+test('should only create the match once every player accepts', async () => {
+  const { matchId } = await startCheck(matchmakingService);
+  const found = [];
+  matchmakingService.on('match_found', match => found.push(match));
+
+  await matchmakingService.respondToReadyCheck(matchId, players[0].id, true);
+  expect(found).toHaveLength(0);
+  expect(matchmakingService.gameService.activeGames.size).toBe(0);
+
+  await matchmakingService.respondToReadyCheck(matchId, players[1].id, true);
+  expect(found).toHaveLength(1);
+  expect(found[0].players.map(p => p.id).sort()).toEqual(players.map(p => p.id).sort());
+  await expect(matchmakingService.respondToReadyCheck(matchId, players[0].id, true)).rejects.toThrow('already resolved');
+});
+
+test('should requeue the others with their original queue time and penalize a decline', async () => {
+  const { matchId, joinedAt } = await startCheck(matchmakingService);
+  const failed = failure(matchmakingService);
+
+  await matchmakingService.respondToReadyCheck(matchId, players[0].id, false);
+  expect(await failed).toMatchObject({ reason: 'declined', offenders: [players[0].id], requeued: [players[1].id] });
+
+  const queued = await matchmakingService.queueService.getEntries('chess');
+  expect(queued.map(entry => [entry.id, entry.joinedAt])).toEqual([[players[1].id, joinedAt[players[1].id]]]);
+  await expect(matchmakingService.addToQueue(players[0].id, 'chess', {}, 'socket-alice')).rejects.toThrow('Queue dodge penalty active');
+});
+
+test('should penalize only the players who let the check time out', async () => {
+  matchmakingService.readyCheckTimeout = 50;
+  const { matchId, joinedAt } = await startCheck(matchmakingService);
+  const failed = failure(matchmakingService);
+
+  await matchmakingService.respondToReadyCheck(matchId, players[0].id, true);
+  expect(await failed).toMatchObject({ reason: 'timeout', offenders: [players[1].id], requeued: [players[0].id] });
+
+  const queued = await matchmakingService.queueService.getEntries('chess');
+  expect(queued.map(entry => [entry.id, entry.joinedAt])).toEqual([[players[0].id, joinedAt[players[0].id]]]);
+  await expect(matchmakingService.addToQueue(players[1].id, 'chess', {}, 'socket-bob')).rejects.toThrow('Queue dodge penalty active');
+});
+
+test('should requeue the players of a check whose node went away once it is overdue', async () => {
+  const { matchId, joinedAt } = await startCheck(matchmakingService);
+  // The node crashes: its timers and in-memory checks are gone
+  clearTimeout(matchmakingService.readyChecks.get(matchId).timer);
+  matchmakingService.readyChecks.clear();
+
+  const successor = new MatchmakingService();
+  const [stored] = (await RedisClient.hVals(successor.readyCheckKey('chess'))).map(check => JSON.parse(check));
+  await successor.recoverReadyChecks('chess', stored.expiresAt);
+  expect(await successor.queueService.getEntries('chess')).toEqual([]);
+
+  const failed = failure(successor);
+  await successor.recoverReadyChecks('chess', stored.expiresAt + successor.matchmakingLease);
+  expect(await failed).toMatchObject({ matchId, reason: 'host_lost', offenders: [] });
+
+  const queued = await successor.queueService.getEntries('chess');
+  expect(Object.fromEntries(queued.map(entry => [entry.id, entry.joinedAt]))).toEqual(joinedAt);
+  expect(await RedisClient.hVals(successor.readyCheckKey('chess'))).toEqual([]);
+});
@@ -0,0 +1,79 @@
+import GameService from '../services/GameService.js';
+import PlayerService from '../services/PlayerService.js';
+import RedisClient from '../config/redis.js';
+import GameModeRegistry from '../modes/GameModeRegistry.js';
+
+let gameService;
+let players;
+
+beforeAll(async () => {
+  await GameModeRegistry.load();
+  await RedisClient.init();
+});
+
+afterAll(async () => {
+  await RedisClient.disconnect();
+});
+
+beforeEach(async () => {
+  await RedisClient.client.flushAll();
+  gameService = new GameService();
+  gameService.reconnectGracePeriod = 100;
+
+  const playerService = new PlayerService();
+  players = [];
+  for (const [name, socketId] of [['white', 's1'], ['black', 's2']]) {
+    const player = await playerService.createPlayer(name, 'chess');
+    players.push({ id: player.id, username: name, rating: player.ratings.chess, socketId });
+  }
+
+  await gameService.createGame('reconnect-game', players, 'chess');
+  gameService.clearGameTimer('reconnect-game', 'start');
+  await gameService.startGame('reconnect-game');
+});
+
+afterEach(() => {
+  gameService.clearGameTimers('reconnect-game');
+});
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('should restore the game to a player who reconnects within the grace period', async () => {
+  const game = await gameService.getGame('reconnect-game');
+  await gameService.handleGameAction(game.id, game.chess.colors.w, 'move', { from: 'e2', to: 'e4' });
+
+  await gameService.handlePlayerDisconnect(players[0].id, 's1');
+  expect(game.players[0]).toMatchObject({ connected: false });
+  expect(game.timers[`reconnect:${players[0].id}`]).toBeDefined();
+
+  const restored = await gameService.handlePlayerReconnect(players[0].id, 's3');
+  expect(restored.status).toBe('active');
+  expect(restored.chess.board.turn).toBe('b');
+  expect(restored.players[0]).toMatchObject({ connected: true, socketId: 's3', disconnectedAt: null });
+
+  await wait(150);
+  expect((await gameService.getGame('reconnect-game')).players[0].abandoned).toBe(false);
+});
+
+test('should forfeit a player who stays away past the grace period', async () => {
+  await gameService.handlePlayerDisconnect(players[0].id, 's1');
+  await wait(150);
+
+  const game = await gameService.getGame('reconnect-game');
+  expect(game.status).toBe('finished');
+  expect(game.players[0].abandoned).toBe(true);
+  expect(game.result).toMatchObject({ winnerId: players[1].id, reason: 'abandonment' });
+  expect(await gameService.handlePlayerReconnect(players[0].id, 's3')).toBeNull();
+});
+
+test('should ignore the disconnect of a socket the player has already replaced', async () => {
+  await gameService.handlePlayerReconnect(players[0].id, 's3');
+  await gameService.handlePlayerDisconnect(players[0].id, 's1');
+
+  const game = await gameService.getGame('reconnect-game');
+  expect(game.players[0]).toMatchObject({ connected: true, socketId: 's3' });
+  expect(game.timers[`reconnect:${players[0].id}`]).toBeUndefined();
+
+  await wait(150);
+  expect(game.status).toBe('active');
+});
@@ -0,0 +1,90 @@
+import GameService from '../services/GameService.js';
+import RedisClient from '../config/redis.js';
+import GameModeRegistry from '../modes/GameModeRegistry.js';
+
+let gameService;
+
+beforeAll(async () => {
+  await GameModeRegistry.load();
+  await RedisClient.init();
+});
+
+afterAll(async () => {
+  await RedisClient.disconnect();
+});
+
+beforeEach(async () => {
+  await RedisClient.client.flushAll();
+  gameService = new GameService();
+});
+
+afterEach(() => {
+  gameService.activeGames.forEach((game, gameId) => gameService.clearGameTimers(gameId));
+});
+
+const players = [
+  { id: 'p1', username: 'p1', rating: 1500, socketId: 'socket-p1' },
+  { id: 'p2', username: 'p2', rating: 1500, socketId: 'socket-p2' }
+];
+
+const startGame = async (gameId, gameMode) => {
+  await gameService.createGame(gameId, players, gameMode);
+  gameService.clearGameTimer(gameId, 'start');
+
+  const started = new Promise(resolve => gameService.once('game_update', (id, update) => resolve(update)));
+  await gameService.startGame(gameId);
+  gameService.clearGameTimers(gameId);
+  return started;
+};
+
+// Replay entries are written without being awaited
+const flushRecording = () => new Promise(resolve => setTimeout(resolve, 50));
+
+test('should announce a started game without socket ids or internal state', async () => {
+  const { game } = await startGame('public-fps', 'fps');
+  expect(game.players.every(p => p.socketId === undefined)).toBe(true);
+  expect(game).not.toHaveProperty('fps');
+  expect(game).not.toHaveProperty('timers');
+  expect(game.state).toBeNull();
+
+  const { game: chess } = await startGame('public-chess', 'chess');
+  expect(chess).not.toHaveProperty('chess');
+  expect(Object.keys(chess.state)).toEqual(['fen', 'colors', 'clock']);
+
+  await flushRecording();
+  const replay = await gameService.replayService.getReplay('public-chess');
+  expect(JSON.stringify(replay)).not.toContain('socket-p1');
+});
+
+test('should record every few ticks with the events in between and skip actions of ticking modes', async () => {
+  await startGame('recorded-fps', 'fps');
+
+  for (let tick = 1; tick <= 8; tick++) {
+    const events = tick === 2 ? [{ type: 'shot', playerId: 'p1' }] : [];
+    gameService.publishSnapshot('recorded-fps', tick, { p1: { x: tick } }, {}, events);
+  }
+  await gameService.handleGameAction('recorded-fps', 'p1', 'position_update', { position: { x: 10, y: 10 } });
+  await flushRecording();
+
+  const { events } = await gameService.replayService.getReplay('recorded-fps');
+  const snapshots = events.filter(([, type]) => type === 'snapshot').map(([, , data]) => data);
+  expect(snapshots.map(s => s.tick)).toEqual([4, 8]);
+  expect(snapshots[0].events).toEqual([{ type: 'shot', playerId: 'p1' }]);
+  expect(snapshots[1]).toMatchObject({ full: false, changed: { p1: { x: 8 } } });
+  expect(events.some(([, type]) => type === 'action')).toBe(false);
+});
+
+test('should cap the replay stream and still load a trimmed replay', async () => {
+  const { replayService } = gameService;
+  replayService.maxEntries = 10;
+  await replayService.start('long-game', { gameMode: 'chess', players: [], teams: null, config: {} });
+
+  for (let i = 0; i < 500; i++) {
+    await replayService.record('long-game', 'action', { i });
+  }
+
+  const replay = await replayService.getReplay('long-game');
+  expect(replay.gameMode).toBe('chess');
+  expect(replay.events.length).toBeLessThan(500);
+  expect(replay.events[replay.events.length - 1][2]).toEqual({ i: 499 });
+});
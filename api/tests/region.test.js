@@ -0,0 +1,41 @@
+import RegionSelector from '../utils/RegionSelector.js';
+
+const regions = ['us-east', 'us-west', 'eu-west'];
+
+test('should parse regions with optional ping urls', () => {
+  expect(RegionSelector.parse('us-east=https://use.example.com/ping?a=1, eu-west,')).toEqual([
+    { name: 'us-east', pingUrl: 'https://use.example.com/ping?a=1' },
+    { name: 'eu-west', pingUrl: null }
+  ]);
+});
+
+test('should combine a group\'s latencies at the worst member for regions they all measured', () => {
+  const combined = RegionSelector.combine([
+    { 'us-east': 30, 'us-west': 80, 'eu-west': 120 },
+    null,
+    { 'us-east': 95, 'us-west': 40 }
+  ]);
+
+  expect(combined).toEqual({ 'us-east': 95, 'us-west': 80 });
+  expect(RegionSelector.combine([null, null])).toBeNull();
+});
+
+test('should widen acceptable regions with wait but never past maxLatency', () => {
+  const entry = { joinedAt: 0, maxLatency: 100, latencies: { 'us-east': 30, 'us-west': 80, 'eu-west': 120 } };
+
+  expect(RegionSelector.acceptableRegions(entry, regions, 0)).toEqual({ 'us-east': 30 });
+  expect(RegionSelector.acceptableRegions(entry, regions, 20000)).toEqual({ 'us-east': 30, 'us-west': 80 });
+  expect(RegionSelector.acceptableRegions(entry, regions, 600000)).toEqual({ 'us-east': 30, 'us-west': 80 });
+  expect(RegionSelector.acceptableRegions({ joinedAt: 0 }, regions, 0)).toBeNull();
+});
+
+test('should pick the region with the lowest combined latency', () => {
+  const now = 30000;
+  const east = { joinedAt: 0, latencies: { 'us-east': 20, 'us-west': 70, 'eu-west': 90 } };
+  const west = { joinedAt: 0, latencies: { 'us-east': 75, 'us-west': 20, 'eu-west': 140 } };
+  const anywhere = { joinedAt: 0 };
+
+  expect(RegionSelector.select([east, west, anywhere], regions, now)).toEqual({ region: 'us-west', averageLatency: 45, worstLatency: 70 });
+  expect(RegionSelector.select([anywhere], regions, now)).toEqual({ region: 'us-east', averageLatency: null, worstLatency: null });
+  expect(RegionSelector.select([east, west], regions, 0)).toBeNull();
+});
@@ -0,0 +1,58 @@
+import { jest } from '@jest/globals';
+import ReplayService from '../services/ReplayService.js';
+import ReplayPlayer from '../utils/ReplayPlayer.js';
+
+const entries = [
+  { t: 1000, type: 'created', data: { gameMode: 'fps', players: [{ id: 'a' }, { id: 'b' }], teams: null, config: {} } },
+  { t: 1050, type: 'snapshot', data: { tick: 1, full: true, changed: { a: { x: 1 }, b: { x: 9 } }, removed: [], meta: {}, events: [] } },
+  { t: 1100, type: 'action', data: { playerId: 'a', action: 'position_update', payload: { position: { x: 5 } } } },
+  { t: 1150, type: 'snapshot', data: { tick: 2, full: false, changed: { a: { x: 2 } }, removed: [], meta: {}, events: [] } },
+  { t: 1200, type: 'snapshot', data: { tick: 3, full: false, changed: { a: { x: 3 } }, removed: ['b'], meta: {}, events: [] } },
+  { t: 2000, type: 'update', data: { type: 'game_ended', result: { winnerId: 'a' } } }
+];
+
+test('should build a compact replay relative to game creation', () => {
+  const replay = ReplayService.buildReplay('g1', entries);
+
+  expect(replay).toMatchObject({ gameId: 'g1', gameMode: 'fps', duration: 1000, finished: true, result: { winnerId: 'a' } });
+  expect(replay.events).toHaveLength(5);
+  expect(replay.events[1]).toEqual([100, 'action', entries[2].data]);
+});
+
+test('should rebuild state at any position from the last keyframe', () => {
+  const replay = ReplayService.buildReplay('g1', entries);
+
+  expect(ReplayPlayer.stateAt(replay, 160).snapshot.entities).toEqual({ a: { x: 2 }, b: { x: 9 } });
+  expect(ReplayPlayer.stateAt(replay, 1000)).toMatchObject({
+    snapshot: { entities: { a: { x: 3 } } },
+    updates: { game_ended: { result: { winnerId: 'a' } } }
+  });
+});
+
+test('should play, pause, seek and change speed', () => {
+  jest.useFakeTimers();
+  const emitted = [];
+  const player = new ReplayPlayer(ReplayService.buildReplay('g1', entries), (event, payload) => emitted.push([event, payload]));
+  const events = () => emitted.filter(([event]) => event === 'replay_event').map(([, payload]) => payload.t);
+
+  player.play();
+  jest.advanceTimersByTime(120);
+  expect(events()).toEqual([50, 100]);
+
+  player.pause();
+  jest.advanceTimersByTime(5000);
+  expect(events()).toEqual([50, 100]);
+
+  player.seek(175);
+  expect(emitted.find(([event]) => event === 'replay_state')[1].snapshot.entities.a).toEqual({ x: 2 });
+
+  player.setSpeed(4);
+  player.play();
+  jest.advanceTimersByTime(10);
+  expect(events()).toEqual([50, 100, 200]);
+  jest.advanceTimersByTime(200);
+  expect(events()).toEqual([50, 100, 200, 1000]);
+  expect(player.status()).toMatchObject({ playing: false, ended: true, position: 1000 });
+
+  jest.useRealTimers();
+});
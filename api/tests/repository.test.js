@@ -0,0 +1,39 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import FilePlayerRepository from '../repositories/FilePlayerRepository.js';
+
+let directory;
+let repository;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'players-'));
+  repository = new FilePlayerRepository(directory);
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('should store players durably and read them back', async () => {
+  const player = { id: 'p-1', username: 'alice', ratings: { chess: 1500 } };
+  await repository.save(player);
+
+  const reopened = new FilePlayerRepository(directory);
+  expect(await reopened.get('p-1')).toEqual(player);
+  expect(await reopened.getMany(['p-1', 'missing'])).toEqual([player, null]);
+  expect(fs.readdirSync(directory)).toEqual(['p-1.json']);
+});
+
+test('should reject ids that would escape the store directory', async () => {
+  expect(await repository.get('../secrets')).toBeNull();
+  await expect(repository.save({ id: '../secrets' })).rejects.toThrow('Invalid player id');
+});
+
+test('should delete players', async () => {
+  await repository.save({ id: 'p-2' });
+  await repository.delete('p-2');
+
+  expect(await repository.exists('p-2')).toBe(false);
+  await repository.delete('p-2');
+});
@@ -0,0 +1,92 @@
+import SnapshotBuffer from '../utils/SnapshotBuffer.js';
+import InterestManager from '../utils/InterestManager.js';
+
+const state = (players, meta = { scores: { 0: 0, 1: 0 } }) => ({ entities: players, meta });
+
+test('should send a full snapshot until the client acknowledges one', () => {
+  const buffer = new SnapshotBuffer();
+  buffer.push(1, { a: { x: 1, y: 1 }, b: { x: 5, y: 5 } });
+
+  const first = buffer.buildFor('a');
+  expect(first).toMatchObject({ tick: 1, baseTick: null, full: true });
+  expect(first.changed).toEqual({ a: { x: 1, y: 1 }, b: { x: 5, y: 5 } });
+});
+
+test('should only send what changed since the acknowledged tick', () => {
+  const buffer = new SnapshotBuffer();
+  const initial = state({ a: { x: 1, y: 1 }, b: { x: 5, y: 5 }, c: { x: 9, y: 9 } });
+  buffer.push(1, initial.entities, initial.meta);
+  buffer.acknowledge('a', 1);
+
+  buffer.push(2, { a: { x: 2, y: 1 }, b: { x: 5, y: 5 } }, { scores: { 0: 1, 1: 0 } });
+  buffer.push(3, { a: { x: 3, y: 1 }, b: { x: 5, y: 5 } }, { scores: { 0: 1, 1: 0 } });
+
+  // Tick 2 was never acknowledged, so the delta still spans both ticks
+  const delta = buffer.buildFor('a');
+  expect(delta).toMatchObject({ tick: 3, baseTick: 1, full: false });
+  expect(delta.changed).toEqual({ a: { x: 3 } });
+  expect(delta.removed).toEqual(['c']);
+  expect(delta.meta).toEqual({ scores: { 0: 1, 1: 0 } });
+
+  expect(SnapshotBuffer.apply(initial, delta)).toEqual(state({ a: { x: 3, y: 1 }, b: { x: 5, y: 5 } }, { scores: { 0: 1, 1: 0 } }));
+});
+
+test('should fall back to a full snapshot on resync or when the acked tick has expired', () => {
+  const buffer = new SnapshotBuffer(2);
+  buffer.push(1, { a: { x: 1 } });
+  buffer.acknowledge('a', 1);
+  buffer.push(2, { a: { x: 2 } });
+  expect(buffer.buildFor('a').full).toBe(false);
+
+  buffer.acknowledge('a', 2);
+  buffer.resync('a');
+  expect(buffer.buildFor('a').full).toBe(true);
+
+  buffer.acknowledge('a', 2);
+  buffer.push(3, { a: { x: 3 } });
+  buffer.push(4, { a: { x: 4 } });
+  expect(buffer.buildFor('a')).toMatchObject({ full: true, changed: { a: { x: 4 } } });
+  expect(buffer.acknowledge('a', 1)).toBe(false);
+});
+
+test('should only include enemies within view of the player or a teammate', () => {
+  const rules = { viewRadius: 100, teamVision: true };
+  const snapshot = {
+    entities: {
+      a: { team: 0, x: 0, y: 0, alive: true },
+      mate: { team: 0, x: 500, y: 500, alive: true },
+      near: { team: 1, x: 60, y: 60, alive: true },
+      spotted: { team: 1, x: 550, y: 520, alive: true },
+      hidden: { team: 1, x: 900, y: 100, alive: true }
+    },
+    meta: {},
+    events: [
+      { type: 'respawn', playerId: 'hidden', x: 900, y: 100 },
+      { type: 'shot', playerId: 'near' },
+      { type: 'shot', playerId: 'hidden', x: 900, y: 100, hit: { targetId: 'a' } },
+      { type: 'shot', playerId: 'hidden', hit: null },
+      { type: 'shot', playerId: 'a', x: 0, y: 0 }
+    ]
+  };
+
+  const view = InterestManager.filter(snapshot, 'a', rules);
+  expect(Object.keys(view.entities).sort()).toEqual(['a', 'mate', 'near', 'spotted']);
+  expect(view.events).toEqual([{ type: 'shot', playerId: 'near' }, { type: 'shot', playerId: 'a', x: 0, y: 0 }]);
+
+  const solo = InterestManager.filter(snapshot, 'a', { viewRadius: 100, teamVision: false });
+  expect(Object.keys(solo.entities).sort()).toEqual(['a', 'mate', 'near']);
+});
+
+test('should report enemies leaving view as removed in the next delta', () => {
+  const buffer = new SnapshotBuffer();
+  const rules = { viewRadius: 100 };
+  const filter = snapshot => InterestManager.filter(snapshot, 'a', rules);
+
+  buffer.push(1, { a: { team: 0, x: 0, y: 0 }, b: { team: 1, x: 50, y: 0 } });
+  buffer.acknowledge('a', 1);
+  buffer.push(2, { a: { team: 0, x: 0, y: 0 }, b: { team: 1, x: 400, y: 0 } });
+
+  const delta = buffer.buildFor('a', filter);
+  expect(delta.changed).toEqual({});
+  expect(delta.removed).toEqual(['b']);
+});
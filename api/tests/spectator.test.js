@@ -0,0 +1,147 @@
+import { io as connect } from 'socket.io-client';
+import GameServer from '../index.js';
+import RedisClient from '../config/redis.js';
+import GameModeRegistry from '../modes/GameModeRegistry.js';
+
+let server;
+let url;
+let sockets;
+
+beforeAll(async () => {
+  await GameModeRegistry.load();
+  await RedisClient.init();
+  server = new GameServer();
+  await new Promise(resolve => server.server.listen(0, resolve));
+  url = `http://localhost:${server.server.address().port}`;
+});
+
+afterAll(async () => {
+  server.io.close();
+  await RedisClient.disconnect();
+});
+
+beforeEach(async () => {
+  await RedisClient.client.flushAll();
+  sockets = [];
+});
+
+afterEach(() => {
+  sockets.forEach(socket => socket.disconnect());
+  server.gameService.activeGames.forEach((game, gameId) => server.gameService.clearGameTimers(gameId));
+});
+
+const startGame = async (gameId, gameMode) => {
+  const players = [];
+  for (const name of ['first', 'second']) {
+    const player = await server.playerService.createPlayer(name, gameMode);
+    players.push({ id: player.id, username: name, rating: player.ratings[gameMode] });
+  }
+
+  await server.gameService.createGame(gameId, players, gameMode);
+  server.gameService.clearGameTimer(gameId, 'start');
+  await server.gameService.startGame(gameId);
+  return players;
+};
+
+const join = async playerId => {
+  const socket = connect(url, { auth: { token: server.authService.issueToken(playerId, playerId) }, transports: ['websocket'] });
+  sockets.push(socket);
+  await new Promise((resolve, reject) => {
+    socket.once('connect', resolve);
+    socket.once('connect_error', reject);
+  });
+  return socket;
+};
+
+const next = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+
+test('should count spectators and hide live state from a delayed spectator stream', async () => {
+  await startGame('watched-game', 'fps');
+  const spectator = await join('watcher');
+
+  const joined = next(spectator, 'spectate_joined');
+  spectator.emit('spectate_join', { gameId: 'watched-game' });
+  const { game } = await joined;
+
+  expect(game).toMatchObject({ id: 'watched-game', status: 'active', spectatorCount: 1, spectatorDelayMs: 30000 });
+  expect(game.fps).toBeUndefined();
+  expect(game.players.every(p => p.socketId === undefined)).toBe(true);
+  expect((await server.gameService.getGame('watched-game')).fps).toBeDefined();
+
+  const left = next(spectator, 'spectate_left');
+  spectator.emit('spectate_leave', { gameId: 'watched-game' });
+  await left;
+  expect((await server.gameService.getGame('watched-game')).spectatorCount).toBe(0);
+});
+
+test('should reject game actions from spectators', async () => {
+  await startGame('chess-game', 'chess');
+  const spectator = await join('watcher');
+
+  const joined = next(spectator, 'spectate_joined');
+  spectator.emit('spectate_join', { gameId: 'chess-game' });
+  await joined;
+
+  const rejected = next(spectator, 'error');
+  spectator.emit('game_action', { gameId: 'chess-game', action: 'resign', payload: {} });
+  expect((await rejected).message).toBe('Spectators cannot send game actions');
+  expect((await server.gameService.getGame('chess-game')).status).toBe('active');
+});
+
+test('should only serve replays of finished games', async () => {
+  const [winner] = await startGame('replay-game', 'chess');
+  const viewer = await join('viewer');
+  const headers = { authorization: `Bearer ${server.authService.issueToken('viewer', 'viewer')}` };
+
+  const rejected = next(viewer, 'error');
+  viewer.emit('replay_start', { gameId: 'replay-game' });
+  expect((await rejected).message).toBe('Replay is available once the game has finished');
+  expect((await fetch(`${url}/api/games/replay-game/replay`, { headers })).status).toBe(409);
+
+  await server.gameService.endGame('replay-game', winner.id, 'resignation');
+  const response = await fetch(`${url}/api/games/replay-game/replay`, { headers });
+  expect(response.status).toBe(200);
+  expect(await response.json()).toMatchObject({ gameId: 'replay-game', finished: true });
+
+  const loaded = next(viewer, 'replay_loaded');
+  viewer.emit('replay_start', { gameId: 'replay-game' });
+  expect(await loaded).toMatchObject({ gameId: 'replay-game', finished: true });
+  viewer.emit('replay_stop');
+});
+
+test('should hold delayed spectator events in one queue and drop them when the game ends', async () => {
+  server.gameService.spectatorDelayOverride = 200;
+  try {
+    const [winner] = await startGame('delayed-game', 'fps');
+    server.gameService.clearGameTimers('delayed-game');
+    const spectator = await join('watcher');
+
+    const joined = next(spectator, 'spectate_joined');
+    spectator.emit('spectate_join', { gameId: 'delayed-game' });
+    await joined;
+
+    const received = [];
+    spectator.on('game_snapshot', ({ tick }) => received.push(tick));
+    const sentAt = Date.now();
+    [1, 2, 3].forEach(tick => server.relayToSpectators('delayed-game', 'game_snapshot', { gameId: 'delayed-game', tick }));
+    expect(server.spectatorQueues.get('delayed-game')).toHaveLength(3);
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(received).toEqual([]);
+    await new Promise(resolve => setTimeout(resolve, 200));
+    expect(received).toEqual([1, 2, 3]);
+    expect(Date.now() - sentAt).toBeGreaterThanOrEqual(200);
+
+    server.relayToSpectators('delayed-game', 'game_snapshot', { gameId: 'delayed-game', tick: 4 });
+    const ended = next(spectator, 'game_update');
+    await server.gameService.endGame('delayed-game', winner.id, 'time_limit');
+    expect(await ended).toMatchObject({ gameId: 'delayed-game', type: 'game_ended' });
+
+    await new Promise(resolve => setTimeout(resolve, 300));
+    expect(received).toEqual([1, 2, 3]);
+    expect(server.spectatorQueues.size).toBe(0);
+    expect(server.spectatorRelay).toBeNull();
+  } finally {
+    server.gameService.spectatorDelayOverride = NaN;
+  }
+});
@@ -0,0 +1,168 @@
+// Picks a set of disjoint matches out of one queue snapshot. Entries are solo players or
+// whole parties; the caller supplies the rules:
+//
+//   size               players per match
+//   window             how many rating neighbours each entry is considered against
+//   entrySize(entry)   players in an entry
+//   compatible(a, b)   pairwise check, required between every two entries of a match
+//   fits(entries)      check on a partial match as it grows (e.g. a shared region)
+//   accept(entries)    check on a complete match (e.g. the team split)
+//   score(entries)     higher is better; every accepted match should score above zero
+class BatchMatcher {
+  static match(entries, options) {
+    const sorted = [...entries].sort((a, b) => a.rating - b.rating || a.joinedAt - b.joinedAt);
+
+    if (options.size === 2 && sorted.every(entry => options.entrySize(entry) === 1)) {
+      return BatchMatcher.pairs(sorted, options);
+    }
+    return BatchMatcher.groups(sorted, options);
+  }
+
+  // Maximum total score over every way of pairing entries that sit within `window` places
+  // of each other in rating order. A DP over the sorted queue whose state is which of the
+  // next window - 1 entries are already taken, so it is exact within the window.
+  static pairs(sorted, { window, compatible, fits, accept, score }) {
+    const reach = Math.max(1, window - 1);
+    const candidates = sorted.map((entry, i) => {
+      const options = [];
+      for (let d = 1; d <= reach && i + d < sorted.length; d++) {
+        const pair = [entry, sorted[i + d]];
+        if (compatible(pair[0], pair[1]) && fits(pair) && accept(pair)) options.push({ d, score: score(pair) });
+      }
+      return options;
+    });
+
+    // steps[i] maps each taken-mask before position i to the best { value, from, d } reaching it
+    let states = new Map([[0, { value: 0 }]]);
+    const steps = [];
+
+    for (let i = 0; i < sorted.length; i++) {
+      steps.push(states);
+      const next = new Map();
+      const offer = (mask, value, from, d) => {
+        const current = next.get(mask);
+        if (!current || value > current.value) next.set(mask, { value, from, d });
+      };
+
+      for (const [mask, { value }] of states) {
+        if (mask & 1) {
+          offer(mask >> 1, value, mask, 0);
+          continue;
+        }
+
+        offer(mask >> 1, value, mask, 0);
+        for (const option of candidates[i]) {
+          if (mask & (1 << option.d)) continue;
+          offer((mask | (1 << option.d)) >> 1, value + option.score, mask, option.d);
+        }
+      }
+
+      states = next;
+    }
+
+    let best = null;
+    for (const [mask, state] of states) {
+      if (!best || state.value > best.state.value) best = { mask, state };
+    }
+
+    const matches = [];
+    let mask = best ? best.mask : 0;
+    for (let i = sorted.length - 1; i >= 0; i--) {
+      const state = i === sorted.length - 1 ? best.state : steps[i + 1].get(mask);
+      if (state.d) matches.push([sorted[i], sorted[i + state.d]]);
+      mask = state.from;
+    }
+
+    return matches.reverse();
+  }
+
+  // Windowed sorted grouping: every entry seeds one candidate match from its rating
+  // neighbours and the best-scoring candidates that do not overlap are kept. Entries
+  // left over are grouped again among themselves until no new match turns up.
+  static groups(sorted, options) {
+    const matches = [];
+    let remaining = sorted;
+
+    while (remaining.length > 0) {
+      const candidates = [];
+
+      for (let i = 0; i < remaining.length; i++) {
+        const neighbours = remaining.slice(Math.max(0, i - options.window), i + options.window + 1);
+        const group = BatchMatcher.grow(remaining[i], neighbours, options);
+        if (group) candidates.push({ group, score: options.score(group), seed: i });
+      }
+
+      candidates.sort((a, b) => b.score - a.score || a.seed - b.seed);
+
+      const used = new Set();
+      for (const { group } of candidates) {
+        if (group.some(entry => used.has(entry.id))) continue;
+        group.forEach(entry => used.add(entry.id));
+        matches.push(group);
+      }
+
+      if (used.size === 0) break;
+      remaining = remaining.filter(entry => !used.has(entry.id));
+    }
+
+    return matches;
+  }
+
+  // Adds the entry closest to the group's average rating until the match is full
+  static grow(seed, neighbours, { size, entrySize, compatible, fits, accept }) {
+    const group = [seed];
+    let players = entrySize(seed);
+
+    while (players < size) {
+      const average = group.reduce((sum, entry) => sum + entry.rating, 0) / group.length;
+      let best = null;
+
+      for (const entry of neighbours) {
+        if (group.includes(entry) || players + entrySize(entry) > size) continue;
+        if (!group.every(member => compatible(member, entry)) || !fits([...group, entry])) continue;
+
+        const distance = Math.abs(entry.rating - average);
+        if (!best || distance < best.distance || (distance === best.distance && entry.joinedAt < best.entry.joinedAt)) {
+          best = { entry, distance };
+        }
+      }
+
+      if (!best) return null;
+      group.push(best.entry);
+      players += entrySize(best.entry);
+    }
+
+    return accept(group) ? group : null;
+  }
+
+  // The old first-come matcher, kept for comparison: the oldest entry fills its match
+  // with the next compatible entries in queue order.
+  static firstFit(entries, { size, entrySize, compatible, fits, accept }) {
+    const queue = [...entries].sort((a, b) => a.joinedAt - b.joinedAt);
+    const used = new Set();
+    const matches = [];
+
+    for (let i = 0; i < queue.length; i++) {
+      if (used.has(queue[i].id)) continue;
+
+      const group = [queue[i]];
+      let players = entrySize(queue[i]);
+
+      for (let j = i + 1; j < queue.length && players < size; j++) {
+        if (used.has(queue[j].id) || players + entrySize(queue[j]) > size) continue;
+        if (!group.every(member => compatible(member, queue[j])) || !fits([...group, queue[j]])) continue;
+        group.push(queue[j]);
+        players += entrySize(queue[j]);
+      }
+
+      if (players === size && accept(group)) {
+        group.forEach(entry => used.add(entry.id));
+        matches.push(group);
+      }
+    }
+
+    return matches;
+  }
+}
+
+export default BatchMatcher;
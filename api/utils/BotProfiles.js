@@ -0,0 +1,34 @@
+// Bot difficulty by rating. `skill` (0..1) is how often a bot plays the better of its
+// options instead of a random one and `accuracy` (0..1) how tightly it aims. Bots wait
+// `thinkMs` between turn-based decisions and `reactionMs` between real-time ones, as [min, max].
+const PROFILES = [
+  { name: 'Rookie', rating: 800, skill: 0.1, accuracy: 0.2, thinkMs: [2500, 6000], reactionMs: [500, 900] },
+  { name: 'Regular', rating: 1100, skill: 0.3, accuracy: 0.4, thinkMs: [2000, 5000], reactionMs: [400, 700] },
+  { name: 'Veteran', rating: 1400, skill: 0.5, accuracy: 0.6, thinkMs: [1500, 4000], reactionMs: [300, 550] },
+  { name: 'Elite', rating: 1700, skill: 0.7, accuracy: 0.8, thinkMs: [1000, 3000], reactionMs: [200, 400] },
+  { name: 'Champion', rating: 2000, skill: 0.9, accuracy: 0.95, thinkMs: [800, 2000], reactionMs: [150, 300] }
+];
+
+class BotProfiles {
+  static get profiles() {
+    return PROFILES;
+  }
+
+  static get(name) {
+    return PROFILES.find(profile => profile.name === name) || PROFILES[0];
+  }
+
+  // The profile closest to `rating`, the lower one on a tie
+  static forRating(rating) {
+    return PROFILES.reduce((best, profile) =>
+      Math.abs(profile.rating - rating) < Math.abs(best.rating - rating) ? profile : best
+    );
+  }
+
+  static delay(profile, pace = 'thinkMs', random = Math.random) {
+    const [min, max] = profile[pace];
+    return Math.round(min + random() * (max - min));
+  }
+}
+
+export default BotProfiles;
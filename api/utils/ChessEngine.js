@@ -0,0 +1,424 @@
+const FILES = 'abcdefgh';
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+const KNIGHT_STEPS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]];
+const KING_STEPS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+const ROOK_DIRS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const BISHOP_DIRS = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+const PROMOTIONS = ['q', 'r', 'b', 'n'];
+
+// Losing a rook from its corner square removes the matching castling right
+const ROOK_CORNERS = { 0: 'wQ', 7: 'wK', 56: 'bQ', 63: 'bK' };
+
+// Squares are 0..63 with a1 = 0 and h8 = 63; pieces are strings such as 'wP' or 'bK'
+class ChessEngine {
+  constructor(state = ChessEngine.fromFEN(START_FEN)) {
+    this.state = state;
+  }
+
+  static initialState() {
+    return ChessEngine.fromFEN(START_FEN);
+  }
+
+  static fromFEN(fen) {
+    const [placement, turn, castling, enPassant, halfmove, fullmove] = fen.trim().split(/\s+/);
+    const board = new Array(64).fill(null);
+
+    placement.split('/').forEach((row, i) => {
+      const rank = 7 - i;
+      let file = 0;
+      for (const char of row) {
+        if (/\d/.test(char)) {
+          file += parseInt(char);
+        } else {
+          const color = char === char.toUpperCase() ? 'w' : 'b';
+          board[rank * 8 + file] = color + char.toUpperCase();
+          file++;
+        }
+      }
+    });
+
+    const state = {
+      board,
+      turn: turn || 'w',
+      castling: {
+        wK: castling?.includes('K') || false,
+        wQ: castling?.includes('Q') || false,
+        bK: castling?.includes('k') || false,
+        bQ: castling?.includes('q') || false
+      },
+      enPassant: enPassant && enPassant !== '-' ? ChessEngine.squareToIndex(enPassant) : null,
+      halfmoveClock: parseInt(halfmove) || 0,
+      fullmoveNumber: parseInt(fullmove) || 1,
+      positionCounts: {},
+      history: []
+    };
+
+    const key = ChessEngine.positionKey(state);
+    state.positionCounts[key] = 1;
+    return state;
+  }
+
+  static squareToIndex(square) {
+    if (typeof square !== 'string' || !/^[a-h][1-8]$/.test(square)) {
+      throw new Error(`Invalid square: ${square}`);
+    }
+    return (parseInt(square[1]) - 1) * 8 + FILES.indexOf(square[0]);
+  }
+
+  static indexToSquare(index) {
+    return FILES[index % 8] + (Math.floor(index / 8) + 1);
+  }
+
+  static offset(square, df, dr) {
+    const file = (square % 8) + df;
+    const rank = Math.floor(square / 8) + dr;
+    if (file < 0 || file > 7 || rank < 0 || rank > 7) return -1;
+    return rank * 8 + file;
+  }
+
+  static opponent(color) {
+    return color === 'w' ? 'b' : 'w';
+  }
+
+  static isSquareAttacked(board, square, byColor) {
+    const pawnRank = byColor === 'w' ? -1 : 1;
+    for (const df of [-1, 1]) {
+      const from = this.offset(square, df, pawnRank);
+      if (from !== -1 && board[from] === `${byColor}P`) return true;
+    }
+
+    for (const [df, dr] of KNIGHT_STEPS) {
+      const from = this.offset(square, df, dr);
+      if (from !== -1 && board[from] === `${byColor}N`) return true;
+    }
+
+    for (const [df, dr] of KING_STEPS) {
+      const from = this.offset(square, df, dr);
+      if (from !== -1 && board[from] === `${byColor}K`) return true;
+    }
+
+    const sliders = [[ROOK_DIRS, 'R'], [BISHOP_DIRS, 'B']];
+    for (const [dirs, type] of sliders) {
+      for (const [df, dr] of dirs) {
+        let from = this.offset(square, df, dr);
+        while (from !== -1) {
+          const piece = board[from];
+          if (piece) {
+            if (piece[0] === byColor && (piece[1] === type || piece[1] === 'Q')) return true;
+            break;
+          }
+          from = this.offset(from, df, dr);
+        }
+      }
+    }
+
+    return false;
+  }
+
+  static findKing(board, color) {
+    return board.indexOf(`${color}K`);
+  }
+
+  static inCheck(state, color = state.turn) {
+    const king = this.findKing(state.board, color);
+    return king !== -1 && this.isSquareAttacked(state.board, king, this.opponent(color));
+  }
+
+  static generatePseudoMoves(state) {
+    const { board, turn: color } = state;
+    const enemy = this.opponent(color);
+    const moves = [];
+
+    const add = (from, to, extra = {}) => {
+      moves.push({ from, to, piece: board[from], captured: board[to], ...extra });
+    };
+
+    for (let from = 0; from < 64; from++) {
+      const piece = board[from];
+      if (!piece || piece[0] !== color) continue;
+
+      switch (piece[1]) {
+        case 'P': {
+          const dir = color === 'w' ? 1 : -1;
+          const startRank = color === 'w' ? 1 : 6;
+          const lastRank = color === 'w' ? 7 : 0;
+          const pushPawn = (to, extra = {}) => {
+            if (Math.floor(to / 8) === lastRank) {
+              PROMOTIONS.forEach(promotion => add(from, to, { ...extra, promotion }));
+            } else {
+              add(from, to, extra);
+            }
+          };
+
+          const one = this.offset(from, 0, dir);
+          if (one !== -1 && !board[one]) {
+            pushPawn(one);
+            const two = this.offset(from, 0, 2 * dir);
+            if (Math.floor(from / 8) === startRank && !board[two]) {
+              add(from, two, { flag: 'double' });
+            }
+          }
+
+          for (const df of [-1, 1]) {
+            const to = this.offset(from, df, dir);
+            if (to === -1) continue;
+            if (board[to] && board[to][0] === enemy) {
+              pushPawn(to);
+            } else if (to === state.enPassant) {
+              add(from, to, { flag: 'enpassant', captured: `${enemy}P` });
+            }
+          }
+          break;
+        }
+
+        case 'N':
+        case 'K': {
+          const steps = piece[1] === 'N' ? KNIGHT_STEPS : KING_STEPS;
+          for (const [df, dr] of steps) {
+            const to = this.offset(from, df, dr);
+            if (to !== -1 && (!board[to] || board[to][0] === enemy)) add(from, to);
+          }
+          break;
+        }
+
+        default: {
+          const dirs = piece[1] === 'R' ? ROOK_DIRS
+            : piece[1] === 'B' ? BISHOP_DIRS
+              : [...ROOK_DIRS, ...BISHOP_DIRS];
+
+          for (const [df, dr] of dirs) {
+            let to = this.offset(from, df, dr);
+            while (to !== -1) {
+              if (board[to]) {
+                if (board[to][0] === enemy) add(from, to);
+                break;
+              }
+              add(from, to);
+              to = this.offset(to, df, dr);
+            }
+          }
+        }
+      }
+    }
+
+    this.addCastlingMoves(state, moves);
+    return moves;
+  }
+
+  static addCastlingMoves(state, moves) {
+    const { board, turn: color, castling } = state;
+    const enemy = this.opponent(color);
+    const base = color === 'w' ? 0 : 56;
+    const king = base + 4;
+
+    if (board[king] !== `${color}K` || this.isSquareAttacked(board, king, enemy)) return;
+
+    const sides = [
+      { right: `${color}K`, rook: base + 7, empty: [base + 5, base + 6], path: [base + 5, base + 6], to: base + 6 },
+      { right: `${color}Q`, rook: base, empty: [base + 1, base + 2, base + 3], path: [base + 3, base + 2], to: base + 2 }
+    ];
+
+    for (const side of sides) {
+      if (!castling[side.right] || board[side.rook] !== `${color}R`) continue;
+      if (side.empty.some(sq => board[sq])) continue;
+      if (side.path.some(sq => this.isSquareAttacked(board, sq, enemy))) continue;
+      moves.push({ from: king, to: side.to, piece: `${color}K`, captured: null, flag: 'castle' });
+    }
+  }
+
+  static applyMove(state, move) {
+    const board = [...state.board];
+    const color = state.turn;
+    const piece = board[move.from];
+
+    board[move.to] = move.promotion ? color + move.promotion.toUpperCase() : piece;
+    board[move.from] = null;
+
+    if (move.flag === 'enpassant') {
+      board[move.to + (color === 'w' ? -8 : 8)] = null;
+    }
+
+    if (move.flag === 'castle') {
+      const kingSide = move.to > move.from;
+      const rookFrom = kingSide ? move.from + 3 : move.from - 4;
+      const rookTo = kingSide ? move.from + 1 : move.from - 1;
+      board[rookTo] = board[rookFrom];
+      board[rookFrom] = null;
+    }
+
+    const castling = { ...state.castling };
+    if (piece[1] === 'K') {
+      castling[`${color}K`] = false;
+      castling[`${color}Q`] = false;
+    }
+    if (ROOK_CORNERS[move.from]) castling[ROOK_CORNERS[move.from]] = false;
+    if (ROOK_CORNERS[move.to]) castling[ROOK_CORNERS[move.to]] = false;
+
+    const resetsClock = piece[1] === 'P' || Boolean(move.captured);
+
+    return {
+      ...state,
+      board,
+      turn: this.opponent(color),
+      castling,
+      enPassant: move.flag === 'double' ? (move.from + move.to) / 2 : null,
+      halfmoveClock: resetsClock ? 0 : state.halfmoveClock + 1,
+      fullmoveNumber: color === 'b' ? state.fullmoveNumber + 1 : state.fullmoveNumber
+    };
+  }
+
+  static getLegalMoves(state) {
+    return this.generatePseudoMoves(state).filter(move => {
+      const next = this.applyMove(state, move);
+      return !this.inCheck(next, state.turn);
+    });
+  }
+
+  // The en passant square only distinguishes positions when a legal capture is possible,
+  // so a pinned or exposing capture leaves the position equal to the same one without it
+  static positionKey(state) {
+    const epCapturable = state.enPassant !== null && this.generatePseudoMoves(state)
+      .some(move => move.flag === 'enpassant' && !this.inCheck(this.applyMove(state, move), state.turn));
+    const castling = Object.entries(state.castling).filter(([, allowed]) => allowed).map(([right]) => right).join('');
+
+    return [
+      state.board.map(p => p || '.').join(''),
+      state.turn,
+      castling || '-',
+      epCapturable ? state.enPassant : '-'
+    ].join(' ');
+  }
+
+  // Whether `color` could mate by any series of legal moves. Minor pieces on their own
+  // need the other side's pieces to hem its king in, and bishops that all share a square
+  // colour can only do it with help from a piece that is not such a bishop.
+  static hasMatingMaterial(board, color) {
+    const own = [];
+    const other = [];
+    board.forEach((piece, square) => {
+      if (piece && piece[1] !== 'K') (piece[0] === color ? own : other).push({ type: piece[1], square });
+    });
+
+    if (own.some(p => ['P', 'R', 'Q'].includes(p.type))) return true;
+    if (own.length === 0) return false;
+
+    const shade = p => (Math.floor(p.square / 8) + p.square) % 2;
+    if (own.every(p => p.type === 'B' && shade(p) === shade(own[0]))) {
+      return other.some(p => p.type !== 'B' || shade(p) !== shade(own[0]));
+    }
+
+    return own.length >= 2 || other.length > 0;
+  }
+
+  // A dead position: neither side can ever mate
+  static isInsufficientMaterial(board) {
+    return !this.hasMatingMaterial(board, 'w') && !this.hasMatingMaterial(board, 'b');
+  }
+
+  get turn() {
+    return this.state.turn;
+  }
+
+  legalMoves() {
+    return ChessEngine.getLegalMoves(this.state);
+  }
+
+  inCheck() {
+    return ChessEngine.inCheck(this.state);
+  }
+
+  move({ from, to, promotion }) {
+    const fromIndex = ChessEngine.squareToIndex(from);
+    const toIndex = ChessEngine.squareToIndex(to);
+    const wanted = promotion ? String(promotion).toLowerCase() : 'q';
+
+    const candidates = this.legalMoves().filter(m => m.from === fromIndex && m.to === toIndex);
+    const move = candidates.find(m => !m.promotion || m.promotion === wanted);
+    if (!move) throw new Error('Illegal move');
+
+    const next = ChessEngine.applyMove(this.state, move);
+    const key = ChessEngine.positionKey(next);
+    const uci = `${from}${to}${move.promotion || ''}`;
+
+    next.positionCounts = { ...this.state.positionCounts, [key]: (this.state.positionCounts[key] || 0) + 1 };
+    next.history = [...this.state.history, uci];
+    this.state = next;
+
+    return {
+      from,
+      to,
+      uci,
+      piece: move.piece,
+      captured: move.captured || null,
+      promotion: move.promotion || null,
+      flag: move.flag || null,
+      check: this.inCheck()
+    };
+  }
+
+  status() {
+    const { state } = this;
+
+    if (this.legalMoves().length === 0) {
+      return this.inCheck()
+        ? { over: true, reason: 'checkmate', winner: ChessEngine.opponent(state.turn) }
+        : { over: true, reason: 'stalemate', winner: null };
+    }
+
+    if (Object.values(state.positionCounts).some(count => count >= 3)) {
+      return { over: true, reason: 'threefold_repetition', winner: null };
+    }
+
+    if (state.halfmoveClock >= 100) {
+      return { over: true, reason: 'fifty_move_rule', winner: null };
+    }
+
+    if (ChessEngine.isInsufficientMaterial(state.board)) {
+      return { over: true, reason: 'insufficient_material', winner: null };
+    }
+
+    return { over: false, reason: null, winner: null };
+  }
+
+  toFEN() {
+    const { board, turn, castling, enPassant, halfmoveClock, fullmoveNumber } = this.state;
+    const rows = [];
+
+    for (let rank = 7; rank >= 0; rank--) {
+      let row = '';
+      let empty = 0;
+      for (let file = 0; file < 8; file++) {
+        const piece = board[rank * 8 + file];
+        if (!piece) {
+          empty++;
+          continue;
+        }
+        if (empty) row += empty;
+        empty = 0;
+        row += piece[0] === 'w' ? piece[1] : piece[1].toLowerCase();
+      }
+      rows.push(empty ? row + empty : row);
+    }
+
+    const rights = [['wK', 'K'], ['wQ', 'Q'], ['bK', 'k'], ['bQ', 'q']]
+      .filter(([right]) => castling[right])
+      .map(([, char]) => char)
+      .join('');
+
+    return [
+      rows.join('/'),
+      turn,
+      rights || '-',
+      enPassant !== null ? ChessEngine.indexToSquare(enPassant) : '-',
+      halfmoveClock,
+      fullmoveNumber
+    ].join(' ');
+  }
+
+  toJSON() {
+    return this.state;
+  }
+}
+
+export default ChessEngine;
@@ -0,0 +1,322 @@
+const EPSILON = 0.000001;
+
+// Positions are map units with (0, 0) in the top-left corner; times are epoch milliseconds
+class FPSSimulation {
+  static defaults = {
+    mapSize: { width: 1000, height: 1000 },
+    tickRate: 20,
+    maxSpeed: 300,
+    playerRadius: 16,
+    maxHealth: 100,
+    weaponDamage: 25,
+    weaponRange: 1200,
+    fireCooldownMs: 200,
+    respawnDelayMs: 3000,
+    killLimit: 50,
+    maxRewindMs: 250,
+    historyMs: 1000,
+    obstacles: []
+  };
+
+  constructor(config = {}, state = null) {
+    this.config = { ...FPSSimulation.defaults, ...config };
+    this.state = state || { tick: 0, players: {}, teamKills: {}, lastStepAt: null };
+    this.history = [];
+    this.pendingEvents = [];
+  }
+
+  static create(config, players, now = Date.now()) {
+    const simulation = new FPSSimulation(config);
+    simulation.state.lastStepAt = now;
+
+    for (const player of players) {
+      simulation.state.players[player.id] = {
+        id: player.id,
+        team: Number.isInteger(player.team) ? player.team : null,
+        ...simulation.spawnPoint(player.team),
+        rotation: 0,
+        target: null,
+        health: simulation.config.maxHealth,
+        alive: true,
+        respawnAt: null,
+        lastShotAt: 0,
+        kills: 0,
+        deaths: 0
+      };
+
+      if (Number.isInteger(player.team)) simulation.state.teamKills[player.team] = 0;
+    }
+
+    simulation.record(now);
+    return simulation;
+  }
+
+  // Teams spawn on opposite edges of the map; free-for-all players anywhere
+  spawnPoint(team) {
+    const { width, height } = this.config.mapSize;
+    const margin = this.config.playerRadius * 4;
+    const y = margin + Math.random() * (height - margin * 2);
+
+    if (team === 0) return { x: margin, y };
+    if (team === 1) return { x: width - margin, y };
+    return { x: margin + Math.random() * (width - margin * 2), y };
+  }
+
+  clampToMap(position) {
+    const { width, height } = this.config.mapSize;
+    const r = this.config.playerRadius;
+    return {
+      x: Math.min(width - r, Math.max(r, Number(position.x) || 0)),
+      y: Math.min(height - r, Math.max(r, Number(position.y) || 0))
+    };
+  }
+
+  // Clients only say where they want to be; the tick decides how far they actually get
+  setInput(playerId, { position, rotation } = {}) {
+    const player = this.state.players[playerId];
+    if (!player || !player.alive) return false;
+
+    if (position && Number.isFinite(Number(position.x)) && Number.isFinite(Number(position.y))) {
+      player.target = this.clampToMap(position);
+    }
+    if (Number.isFinite(rotation)) player.rotation = rotation;
+    return true;
+  }
+
+  step(now = Date.now()) {
+    const dt = Math.max(0, Math.min(now - (this.state.lastStepAt ?? now), 1000)) / 1000;
+    const maxDistance = this.config.maxSpeed * dt;
+
+    for (const player of Object.values(this.state.players)) {
+      if (!player.alive) {
+        if (player.respawnAt !== null && player.respawnAt <= now) this.respawn(player);
+        continue;
+      }
+
+      if (!player.target) continue;
+
+      const dx = player.target.x - player.x;
+      const dy = player.target.y - player.y;
+      const distance = Math.hypot(dx, dy);
+      const travel = Math.min(distance, maxDistance);
+      if (travel < EPSILON) continue;
+
+      const next = this.clampToMap({ x: player.x + (dx / distance) * travel, y: player.y + (dy / distance) * travel });
+      if (!this.isBlocked(next)) {
+        player.x = next.x;
+        player.y = next.y;
+      } else {
+        player.target = null;
+      }
+    }
+
+    this.state.tick++;
+    this.state.lastStepAt = now;
+    this.record(now);
+
+    const events = this.pendingEvents;
+    this.pendingEvents = [];
+    return events;
+  }
+
+  respawn(player) {
+    Object.assign(player, this.spawnPoint(player.team), {
+      target: null,
+      health: this.config.maxHealth,
+      alive: true,
+      respawnAt: null
+    });
+    this.pendingEvents.push({ type: 'respawn', playerId: player.id, x: player.x, y: player.y });
+  }
+
+  isBlocked(position) {
+    const r = this.config.playerRadius;
+    return this.config.obstacles.some(o =>
+      position.x + r > o.x && position.x - r < o.x + o.width &&
+      position.y + r > o.y && position.y - r < o.y + o.height);
+  }
+
+  record(now) {
+    const positions = {};
+    for (const player of Object.values(this.state.players)) {
+      positions[player.id] = { x: player.x, y: player.y, alive: player.alive };
+    }
+
+    this.history.push({ time: now, positions });
+    while (this.history.length > 1 && this.history[0].time < now - this.config.historyMs) {
+      this.history.shift();
+    }
+  }
+
+  // Interpolated positions as they were at `time`, clamped to the recorded history
+  positionsAt(time) {
+    const history = this.history;
+    if (history.length === 0) return {};
+    if (time <= history[0].time) return history[0].positions;
+    if (time >= history[history.length - 1].time) return history[history.length - 1].positions;
+
+    const index = history.findIndex(entry => entry.time > time);
+    const before = history[index - 1];
+    const after = history[index];
+    const ratio = (time - before.time) / (after.time - before.time);
+    const positions = {};
+
+    for (const [id, from] of Object.entries(before.positions)) {
+      const to = after.positions[id] || from;
+      positions[id] = {
+        x: from.x + (to.x - from.x) * ratio,
+        y: from.y + (to.y - from.y) * ratio,
+        alive: from.alive && to.alive
+      };
+    }
+    return positions;
+  }
+
+  // Distance along a normalised ray to a circle, or null when it misses
+  static rayCircle(origin, direction, center, radius) {
+    const vx = center.x - origin.x;
+    const vy = center.y - origin.y;
+    const along = vx * direction.x + vy * direction.y;
+    if (along < 0) return null;
+
+    const offset2 = vx * vx + vy * vy - along * along;
+    if (offset2 > radius * radius) return null;
+    return Math.max(0, along - Math.sqrt(radius * radius - offset2));
+  }
+
+  // Distance along a normalised ray to an axis-aligned box, or null when it misses
+  static rayBox(origin, direction, box) {
+    let near = -Infinity;
+    let far = Infinity;
+
+    for (const [axis, size] of [['x', 'width'], ['y', 'height']]) {
+      const min = box[axis];
+      const max = box[axis] + box[size];
+
+      if (Math.abs(direction[axis]) < EPSILON) {
+        if (origin[axis] < min || origin[axis] > max) return null;
+        continue;
+      }
+
+      const t1 = (min - origin[axis]) / direction[axis];
+      const t2 = (max - origin[axis]) / direction[axis];
+      near = Math.max(near, Math.min(t1, t2));
+      far = Math.min(far, Math.max(t1, t2));
+    }
+
+    if (near > far || far < 0) return null;
+    return Math.max(0, near);
+  }
+
+  // Shots are traced against where everyone was when the shooter fired, i.e. `latency` ago
+  shoot(playerId, { direction, target } = {}, now = Date.now(), latency = 0) {
+    const shooter = this.state.players[playerId];
+    if (!shooter || !shooter.alive) throw new Error('Dead players cannot shoot');
+    if (now - shooter.lastShotAt < this.config.fireCooldownMs) throw new Error('Weapon is cooling down');
+
+    const aim = direction || (target && { x: target.x - shooter.x, y: target.y - shooter.y });
+    const length = aim ? Math.hypot(Number(aim.x), Number(aim.y)) : 0;
+    if (!Number.isFinite(length) || length < EPSILON) throw new Error('Shot needs a direction or target');
+
+    shooter.lastShotAt = now;
+    const ray = { x: aim.x / length, y: aim.y / length };
+    const rewound = this.positionsAt(now - Math.min(Math.max(0, latency), this.config.maxRewindMs));
+    const origin = rewound[playerId] || shooter;
+
+    let range = this.config.weaponRange;
+    for (const obstacle of this.config.obstacles) {
+      const distance = FPSSimulation.rayBox(origin, ray, obstacle);
+      if (distance !== null && distance < range) range = distance;
+    }
+
+    let hit = null;
+    for (const victim of Object.values(this.state.players)) {
+      if (victim.id === playerId || !victim.alive) continue;
+      if (shooter.team !== null && victim.team === shooter.team) continue;
+
+      const position = rewound[victim.id];
+      if (!position || !position.alive) continue;
+
+      const distance = FPSSimulation.rayCircle(origin, ray, position, this.config.playerRadius);
+      if (distance !== null && distance <= range && (!hit || distance < hit.distance)) {
+        hit = { victim, distance };
+      }
+    }
+
+    // Stamped with where it was fired from, so it is only sent to players who can see that spot
+    const event = { type: 'shot', playerId, x: origin.x, y: origin.y, direction: ray, hit: null };
+    if (hit) {
+      event.hit = this.applyDamage(shooter, hit.victim, this.config.weaponDamage, now);
+    }
+
+    this.pendingEvents.push(event);
+    return event;
+  }
+
+  applyDamage(attacker, victim, damage, now) {
+    victim.health = Math.max(0, victim.health - damage);
+    const result = { targetId: victim.id, damage, health: victim.health, killed: false };
+
+    if (victim.health === 0) {
+      victim.alive = false;
+      victim.target = null;
+      victim.deaths++;
+      victim.respawnAt = now + this.config.respawnDelayMs;
+      attacker.kills++;
+      if (attacker.team !== null) this.state.teamKills[attacker.team] = (this.state.teamKills[attacker.team] || 0) + 1;
+      result.killed = true;
+    }
+
+    return result;
+  }
+
+  // Kill score per team, or per player in free-for-all
+  getScores() {
+    const players = Object.values(this.state.players);
+    if (players.some(p => p.team !== null)) return { ...this.state.teamKills };
+
+    const scores = {};
+    players.forEach(p => { scores[p.id] = p.kills; });
+    return scores;
+  }
+
+  isOver() {
+    return Object.values(this.getScores()).some(score => score >= this.config.killLimit);
+  }
+
+  // Competition ranking (1, 1, 3) by score, expanded to every player
+  getRanks() {
+    const scores = this.getScores();
+    const ranks = {};
+
+    for (const player of Object.values(this.state.players)) {
+      const own = scores[player.team !== null ? player.team : player.id] || 0;
+      ranks[player.id] = 1 + Object.values(scores).filter(score => score > own).length;
+    }
+    return ranks;
+  }
+
+  // Rounded so that idle players produce identical entities tick after tick
+  snapshot() {
+    const entities = {};
+    for (const p of Object.values(this.state.players)) {
+      entities[p.id] = {
+        team: p.team,
+        x: Math.round(p.x * 10) / 10,
+        y: Math.round(p.y * 10) / 10,
+        rotation: p.rotation,
+        health: p.health,
+        alive: p.alive,
+        kills: p.kills,
+        deaths: p.deaths
+      };
+    }
+    return entities;
+  }
+
+  toJSON() {
+    return this.state;
+  }
+}
+
+export default FPSSimulation;
@@ -0,0 +1,147 @@
+const SCALE = 173.7178;
+const CENTER = 1500;
+const EPSILON = 0.000001;
+
+class Glicko2Calculator {
+  static defaults = {
+    rating: 1000,
+    deviation: 350,
+    volatility: 0.06,
+    tau: 0.5,
+    minDeviation: 30,
+    establishedDeviation: 50
+  };
+
+  static validateInputs(player, results) {
+    if (typeof player.rating !== 'number' || typeof player.deviation !== 'number') {
+      throw new Error('Rating and deviation must be numbers');
+    }
+
+    for (const result of results) {
+      if (typeof result.rating !== 'number' || typeof result.deviation !== 'number') {
+        throw new Error('Opponent rating and deviation must be numbers');
+      }
+      if (typeof result.score !== 'number' || result.score < 0 || result.score > 1) {
+        throw new Error('Score must be a number between 0 and 1');
+      }
+    }
+  }
+
+  static getActualScore(result) {
+    switch (result) {
+      case 'win': return 1;
+      case 'loss': return 0;
+      case 'draw': return 0.5;
+      default: throw new Error('Result must be "win", "loss", or "draw"');
+    }
+  }
+
+  static toGlicko2(rating, deviation) {
+    return { mu: (rating - CENTER) / SCALE, phi: deviation / SCALE };
+  }
+
+  static g(phi) {
+    return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+  }
+
+  static expectedScore(mu, opponentMu, opponentPhi) {
+    return 1 / (1 + Math.exp(-this.g(opponentPhi) * (mu - opponentMu)));
+  }
+
+  // Step 5 of Glickman's paper: solve for the new volatility with the Illinois algorithm
+  static computeVolatility(phi, sigma, delta, v, tau) {
+    const a = Math.log(sigma * sigma);
+    const f = x => {
+      const ex = Math.exp(x);
+      const denom = phi * phi + v + ex;
+      return (ex * (delta * delta - phi * phi - v - ex)) / (2 * denom * denom) - (x - a) / (tau * tau);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+      B = Math.log(delta * delta - phi * phi - v);
+    } else {
+      let k = 1;
+      while (f(a - k * tau) < 0) k++;
+      B = a - k * tau;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > EPSILON) {
+      const C = A + (A - B) * fA / (fB - fA);
+      const fC = f(C);
+      if (fC * fB <= 0) {
+        A = B;
+        fA = fB;
+      } else {
+        fA /= 2;
+      }
+      B = C;
+      fB = fC;
+    }
+
+    return Math.exp(A / 2);
+  }
+
+  static calculateNewRating(player, results, tau = this.defaults.tau) {
+    this.validateInputs(player, results);
+
+    const volatility = player.volatility ?? this.defaults.volatility;
+    const { mu, phi } = this.toGlicko2(player.rating, player.deviation);
+
+    // A rating period without games only widens the deviation
+    if (results.length === 0) {
+      return this.applyInactivity({ ...player, volatility }, 1);
+    }
+
+    const opponents = results.map(r => ({ ...this.toGlicko2(r.rating, r.deviation), score: r.score }));
+
+    let vInverse = 0;
+    let deltaSum = 0;
+    for (const opp of opponents) {
+      const g = this.g(opp.phi);
+      const e = this.expectedScore(mu, opp.mu, opp.phi);
+      vInverse += g * g * e * (1 - e);
+      deltaSum += g * (opp.score - e);
+    }
+
+    const v = 1 / vInverse;
+    const delta = v * deltaSum;
+    const newVolatility = this.computeVolatility(phi, volatility, delta, v, tau);
+    const phiStar = Math.sqrt(phi * phi + newVolatility * newVolatility);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const newMu = mu + newPhi * newPhi * deltaSum;
+
+    return {
+      rating: newMu * SCALE + CENTER,
+      deviation: Math.max(this.defaults.minDeviation, Math.min(this.defaults.deviation, newPhi * SCALE)),
+      volatility: newVolatility
+    };
+  }
+
+  static applyInactivity(player, periods) {
+    if (periods <= 0) return { ...player };
+
+    const phi = player.deviation / SCALE;
+    const sigma = player.volatility ?? this.defaults.volatility;
+    const grown = Math.sqrt(phi * phi + sigma * sigma * periods) * SCALE;
+
+    return { ...player, deviation: Math.min(this.defaults.deviation, grown) };
+  }
+
+  static getElapsedPeriods(lastPlayedAt, periodMs, now = Date.now()) {
+    if (!lastPlayedAt) return 0;
+    return Math.max(0, Math.floor((now - lastPlayedAt) / periodMs));
+  }
+
+  // Extra rating distance tolerated when either player's rating is still uncertain
+  static uncertaintyMargin(deviation1 = 0, deviation2 = 0, factor = 0.5) {
+    const combined = Math.sqrt(deviation1 * deviation1 + deviation2 * deviation2);
+    const established = Math.SQRT2 * this.defaults.establishedDeviation;
+    return Math.round(Math.max(0, combined - established) * factor);
+  }
+}
+
+export default Glicko2Calculator;
@@ -0,0 +1,81 @@
+import SpatialGrid from './SpatialGrid.js';
+
+// Grids are built once per snapshot and shared by every viewer of that tick
+const grids = new WeakMap();
+
+// Visibility rules come from the game mode:
+//   { viewRadius, teamVision, cellSize, isVisible(entity, viewer) }
+// Entities without a position, the viewer and their teammates are always visible.
+// Events name the entity they are about in `playerId` and may carry an `x`/`y` position.
+class InterestManager {
+  static getGrid(snapshot, rules) {
+    let grid = grids.get(snapshot);
+    if (!grid) {
+      grid = SpatialGrid.fromEntities(snapshot.entities, rules.cellSize || rules.viewRadius);
+      grids.set(snapshot, grid);
+    }
+    return grid;
+  }
+
+  static isTeammate(viewer, entity) {
+    return viewer.team !== null && viewer.team !== undefined && entity.team === viewer.team;
+  }
+
+  // Living, positioned entities whose vision the viewer shares
+  static getEyes(snapshot, viewerId, rules) {
+    const viewer = snapshot.entities[viewerId];
+    return Object.entries(snapshot.entities)
+      .filter(([id, entity]) => id === viewerId || (rules.teamVision && InterestManager.isTeammate(viewer, entity)))
+      .map(([, entity]) => entity)
+      .filter(eye => eye.alive !== false && Number.isFinite(eye.x) && Number.isFinite(eye.y));
+  }
+
+  static visibleIds(snapshot, viewerId, rules, eyes) {
+    const { entities } = snapshot;
+    const viewer = entities[viewerId];
+    const grid = InterestManager.getGrid(snapshot, rules);
+    const visible = new Set([viewerId]);
+
+    for (const [id, entity] of Object.entries(entities)) {
+      const positioned = Number.isFinite(entity.x) && Number.isFinite(entity.y);
+      if (!positioned || InterestManager.isTeammate(viewer, entity)) visible.add(id);
+    }
+
+    for (const eye of eyes) {
+      grid.query(eye.x, eye.y, rules.viewRadius).forEach(id => visible.add(id));
+    }
+
+    if (rules.isVisible) {
+      for (const [id, entity] of Object.entries(entities)) {
+        if (!visible.has(id) && rules.isVisible(entity, viewer)) visible.add(id);
+      }
+    }
+
+    return visible;
+  }
+
+  // Viewers that are not part of the game (or modes without rules) see everything
+  static filter(snapshot, viewerId, rules) {
+    if (!rules || !rules.viewRadius || !snapshot.entities[viewerId]) return snapshot;
+
+    const eyes = InterestManager.getEyes(snapshot, viewerId, rules);
+    const visible = InterestManager.visibleIds(snapshot, viewerId, rules, eyes);
+    const entities = {};
+    for (const id of visible) {
+      if (snapshot.entities[id]) entities[id] = snapshot.entities[id];
+    }
+
+    // Events by an entity the viewer cannot see are dropped, and events that carry a position
+    // are subject to the same rules as entities. The viewer always gets their own.
+    const events = (snapshot.events || []).filter(event => {
+      if (event.playerId === viewerId) return true;
+      if (snapshot.entities[event.playerId] && !visible.has(event.playerId)) return false;
+      if (!Number.isFinite(event.x) || !Number.isFinite(event.y)) return true;
+      return eyes.some(eye => Math.hypot(eye.x - event.x, eye.y - event.y) <= rules.viewRadius);
+    });
+
+    return { ...snapshot, entities, events };
+  }
+}
+
+export default InterestManager;
@@ -0,0 +1,199 @@
+// A policy describes how far a queued entry's search reaches the longer it waits.
+// Every part is optional and layered: built-in defaults, then the mode's `matchmaking`
+// block, then any override stored at runtime.
+//
+//   {
+//     ratingWindow: {
+//       initial: 100,          // rating difference accepted right after joining
+//       growth: 'linear',      // 'linear' adds `step` per interval, 'exponential' multiplies by `factor`
+//       step: 30,
+//       factor: 1.5,
+//       intervalMs: 10000,     // one expansion level per interval waited
+//       max: 600               // the window never grows past this
+//     },
+//     relax: { timeControl: 60000 },  // a preference stops counting after this long in the queue
+//     latency: { maxLatency, tolerance, toleranceStep, toleranceStepMs }, // see RegionSelector
+//     quality: { rating: 0.6, balance: 0.2, latency: 0.2 }, // weights of the match quality score
+//     batch: {
+//       strategy: 'optimal',   // 'optimal' picks the best set of matches, 'greedy' is first come first served
+//       window: 8,             // rating neighbours each entry is weighed against (2-12)
+//       waitWeight: 0.05,      // score per expansion level of every matched player
+//       preferenceWeight: 0.2  // score for matches whose players share their preferences
+//     },
+//     bots: { afterMs: 90000 }  // fill a match with bots after this long in the queue; null never does
+//   }
+const GROWTH_CURVES = ['linear', 'exponential'];
+const BATCH_STRATEGIES = ['optimal', 'greedy'];
+
+class MatchmakingPolicy {
+  static defaults = {
+    ratingWindow: {
+      initial: 100,
+      growth: 'linear',
+      step: 30,
+      factor: 1.5,
+      intervalMs: 10000,
+      max: 600
+    },
+    relax: {},
+    latency: {},
+    quality: { rating: 0.6, balance: 0.2, latency: 0.2 },
+    batch: { strategy: 'optimal', window: 8, waitWeight: 0.05, preferenceWeight: 0.2 },
+    bots: { afterMs: null }
+  };
+
+  static resolve(...layers) {
+    const policy = {
+      ratingWindow: { ...MatchmakingPolicy.defaults.ratingWindow },
+      relax: { ...MatchmakingPolicy.defaults.relax },
+      latency: { ...MatchmakingPolicy.defaults.latency },
+      quality: { ...MatchmakingPolicy.defaults.quality },
+      batch: { ...MatchmakingPolicy.defaults.batch },
+      bots: { ...MatchmakingPolicy.defaults.bots }
+    };
+
+    for (const layer of layers.filter(Boolean)) {
+      for (const section of Object.keys(layer)) {
+        if (!(section in policy)) throw new Error(`Unknown matchmaking policy section: ${section}`);
+        Object.assign(policy[section], layer[section]);
+      }
+    }
+
+    MatchmakingPolicy.validate(policy);
+    return policy;
+  }
+
+  static validate(policy) {
+    const { initial, growth, step, factor, intervalMs, max } = policy.ratingWindow;
+    const nonNegative = value => Number.isFinite(value) && value >= 0;
+
+    if (!nonNegative(initial) || !nonNegative(max) || max < initial) {
+      throw new Error('Rating window needs 0 <= initial <= max');
+    }
+    if (!GROWTH_CURVES.includes(growth)) {
+      throw new Error(`Rating window growth must be one of: ${GROWTH_CURVES.join(', ')}`);
+    }
+    if (!nonNegative(step) || !Number.isFinite(factor) || factor < 1) {
+      throw new Error('Rating window step must be >= 0 and factor >= 1');
+    }
+    if (!Number.isFinite(intervalMs) || intervalMs <= 0) {
+      throw new Error('Rating window interval must be positive');
+    }
+    if (Object.values(policy.relax).some(afterMs => !nonNegative(afterMs))) {
+      throw new Error('Preference relaxation times must be >= 0');
+    }
+    if (Object.values(policy.latency).some(value => !nonNegative(value))) {
+      throw new Error('Latency settings must be >= 0');
+    }
+    if (Object.values(policy.quality).some(weight => !nonNegative(weight))) {
+      throw new Error('Quality weights must be >= 0');
+    }
+
+    const { strategy, window: batchWindow, waitWeight, preferenceWeight } = policy.batch;
+    if (!BATCH_STRATEGIES.includes(strategy)) {
+      throw new Error(`Batch strategy must be one of: ${BATCH_STRATEGIES.join(', ')}`);
+    }
+    // The optimal 1v1 matcher's state grows with 2^window
+    if (!Number.isInteger(batchWindow) || batchWindow < 2 || batchWindow > 12) {
+      throw new Error('Batch window must be an integer from 2 to 12');
+    }
+    if (!nonNegative(waitWeight) || !nonNegative(preferenceWeight)) {
+      throw new Error('Batch weights must be >= 0');
+    }
+    if (policy.bots.afterMs !== null && !nonNegative(policy.bots.afterMs)) {
+      throw new Error('Bot backfill wait must be >= 0, or null to turn bots off');
+    }
+  }
+
+  // Levels stop counting once the window has reached its max
+  static expansionLevel(policy, waited) {
+    const window = policy.ratingWindow;
+    const level = Math.floor(Math.max(0, waited) / window.intervalMs);
+    const range = window.max - window.initial;
+
+    if (range === 0) return 0;
+    if (window.growth === 'exponential') {
+      if (window.factor === 1 || window.initial === 0) return 0;
+      return Math.min(level, Math.ceil(Math.log(window.max / window.initial) / Math.log(window.factor)));
+    }
+    return window.step > 0 ? Math.min(level, Math.ceil(range / window.step)) : 0;
+  }
+
+  static ratingWindow(policy, waited) {
+    const window = policy.ratingWindow;
+    const level = MatchmakingPolicy.expansionLevel(policy, waited);
+    const widened = window.growth === 'exponential'
+      ? window.initial * Math.pow(window.factor, level)
+      : window.initial + level * window.step;
+
+    return Math.min(window.max, Math.round(widened));
+  }
+
+  // The entry as the mode's isCompatible should see it: without the preferences it has waited out
+  static relaxPreferences(entry, policy, now = Date.now()) {
+    const waited = now - entry.joinedAt;
+    const relaxed = Object.keys(policy.relax).filter(name => waited >= policy.relax[name]);
+    if (relaxed.length === 0 || !entry.preferences) return entry;
+
+    const preferences = { ...entry.preferences };
+    relaxed.forEach(name => delete preferences[name]);
+    return { ...entry, preferences };
+  }
+
+  // 0..1, higher is better. Rating compares the spread of individual ratings with the widest
+  // window, balance the team averages with the initial window, and latency the worst
+  // player's latency with the latency limit. Parts that do not apply are left out.
+  static quality(policy, { players, teams = null, latency = null }) {
+    const { ratingWindow, quality: weights } = policy;
+    const parts = [];
+
+    const ratings = players.map(p => p.rating);
+    const spread = Math.max(...ratings) - Math.min(...ratings);
+    parts.push([weights.rating, ratingWindow.max > 0 ? 1 - spread / ratingWindow.max : Number(spread === 0)]);
+
+    if (teams && teams.length > 1) {
+      const averages = teams.map(team => team.averageRating);
+      const gap = Math.max(...averages) - Math.min(...averages);
+      parts.push([weights.balance, 1 - gap / Math.max(ratingWindow.initial, 1)]);
+    }
+
+    const maxLatency = policy.latency.maxLatency;
+    if (latency && latency.worst !== null && maxLatency > 0) {
+      parts.push([weights.latency, 1 - latency.worst / maxLatency]);
+    }
+
+    const totalWeight = parts.reduce((sum, [weight]) => sum + weight, 0);
+    if (totalWeight === 0) return null;
+
+    const score = parts.reduce((sum, [weight, value]) => sum + weight * Math.min(1, Math.max(0, value)), 0) / totalWeight;
+    return Math.round(score * 100) / 100;
+  }
+
+  // Share of the text preferences (time control, skill level, ...) that every player who
+  // stated them agrees on; 1 when nobody shares a preference
+  static preferenceFit(players) {
+    const values = new Map();
+
+    for (const player of players) {
+      for (const [name, value] of Object.entries(player.preferences || {})) {
+        if (typeof value !== 'string') continue;
+        if (!values.has(name)) values.set(name, []);
+        values.get(name).push(value);
+      }
+    }
+
+    const shared = [...values.values()].filter(stated => stated.length > 1);
+    if (shared.length === 0) return 1;
+    return shared.filter(stated => stated.every(value => value === stated[0])).length / shared.length;
+  }
+
+  // What the batch matcher maximises: every match is worth making, better ones more so,
+  // and matching players who have waited longer is worth more still
+  static matchScore(policy, { players, quality, levels }) {
+    const { waitWeight, preferenceWeight } = policy.batch;
+    const waited = levels.reduce((sum, level) => sum + level, 0);
+    return 1 + (quality ?? 0) + preferenceWeight * MatchmakingPolicy.preferenceFit(players) + waitWeight * waited;
+  }
+}
+
+export default MatchmakingPolicy;
@@ -0,0 +1,76 @@
+import Glicko2Calculator from './Glicko2Calculator.js';
+
+class MultiplayerRating {
+  static validateInputs(participants) {
+    if (!Array.isArray(participants) || participants.length < 2) {
+      throw new Error('At least two participants are required');
+    }
+
+    for (const p of participants) {
+      if (typeof p.rating !== 'number') throw new Error('Ratings must be numbers');
+      if (!Number.isInteger(p.rank) || p.rank < 1) throw new Error('Ranks must be positive integers');
+    }
+  }
+
+  static getDeviation(participant) {
+    return participant.deviation ?? Glicko2Calculator.defaults.deviation;
+  }
+
+  static compareRanks(rank, opponentRank) {
+    if (rank < opponentRank) return 1;
+    if (rank > opponentRank) return 0;
+    return 0.5;
+  }
+
+  // Each opposing team is rated as a single composite opponent
+  static buildTeamOpponents(participants) {
+    const teams = new Map();
+
+    for (const p of participants) {
+      if (!teams.has(p.team)) teams.set(p.team, []);
+      teams.get(p.team).push(p);
+    }
+
+    return [...teams.entries()].map(([team, members]) => ({
+      id: `team:${team}`,
+      team,
+      rank: Math.min(...members.map(m => m.rank)),
+      rating: members.reduce((sum, m) => sum + m.rating, 0) / members.length,
+      deviation: Math.sqrt(members.reduce((sum, m) => sum + Math.pow(this.getDeviation(m), 2), 0) / members.length)
+    }));
+  }
+
+  static buildOutcomes(participants) {
+    this.validateInputs(participants);
+
+    const hasTeams = participants.every(p => p.team !== null && p.team !== undefined);
+    const units = hasTeams
+      ? this.buildTeamOpponents(participants)
+      : participants.map(p => ({ ...p, deviation: this.getDeviation(p) }));
+    const bestRank = Math.min(...units.map(u => u.rank));
+
+    return participants.map(p => {
+      const ownUnit = hasTeams ? `team:${p.team}` : p.id;
+      const opponents = units.filter(u => u.id !== ownUnit);
+      const rank = hasTeams ? units.find(u => u.id === ownUnit).rank : p.rank;
+
+      let result = 'loss';
+      if (rank === bestRank) {
+        result = opponents.some(u => u.rank === bestRank) ? 'draw' : 'win';
+      }
+
+      return {
+        playerId: p.id,
+        rank,
+        result,
+        opponents: opponents.map(u => ({
+          rating: u.rating,
+          deviation: u.deviation,
+          score: this.compareRanks(rank, u.rank)
+        }))
+      };
+    });
+  }
+}
+
+export default MultiplayerRating;
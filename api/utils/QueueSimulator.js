@@ -0,0 +1,154 @@
+import MatchmakingPolicy from './MatchmakingPolicy.js';
+import TeamBalancer from './TeamBalancer.js';
+import GameModeRegistry from '../modes/GameModeRegistry.js';
+
+// Replays a synthetic queue through a MatchmakingService's findMatches in simulated time
+// and reports how good the matches were and how long players waited. Everything random
+// comes from `seed`, so the same options always produce the same report.
+class QueueSimulator {
+  static defaults = {
+    seed: 1,
+    durationMs: 300000,
+    tickMs: 2000,
+    arrivalsPerTick: 1,
+    ratingMean: 1500,
+    ratingDeviation: 300,
+    partyChance: 0,
+    preferences: {}        // e.g. { timeControl: ['5+0', '10+0'] }, one picked per player
+  };
+
+  // mulberry32
+  static random(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  static run(matchmakingService, gameMode, options = {}) {
+    const settings = { ...QueueSimulator.defaults, ...options };
+    const random = QueueSimulator.random(settings.seed);
+    const mode = GameModeRegistry.get(gameMode);
+    const policy = matchmakingService.getPolicy(gameMode);
+
+    let queue = [];
+    let nextId = 1;
+    const waits = [];
+    const qualities = [];
+    const spreads = [];
+    let matches = 0;
+
+    for (let now = settings.tickMs; now <= settings.durationMs; now += settings.tickMs) {
+      const arrivals = QueueSimulator.poisson(random, settings.arrivalsPerTick);
+      for (let i = 0; i < arrivals; i++) {
+        queue.push(QueueSimulator.createEntry(random, nextId++, now - Math.floor(random() * settings.tickMs), settings, mode, matchmakingService.getRegionNames()));
+      }
+
+      const found = matchmakingService.findMatches(queue, gameMode, now);
+      const matched = new Set();
+
+      for (const entries of found) {
+        const players = entries.flatMap(entry => matchmakingService.expandEntry(entry));
+        const placement = matchmakingService.selectRegion(entries, gameMode, now);
+        const teams = mode.teamSize ? TeamBalancer.balance(players, mode.teamSize) : null;
+        const latency = placement && { average: placement.averageLatency, worst: placement.worstLatency };
+        const ratings = players.map(p => p.rating);
+
+        matches++;
+        players.forEach(player => waits.push(now - player.joinedAt));
+        qualities.push(MatchmakingPolicy.quality(policy, { players, teams, latency }));
+        spreads.push(Math.max(...ratings) - Math.min(...ratings));
+        entries.forEach(entry => matched.add(entry.id));
+      }
+
+      queue = queue.filter(entry => !matched.has(entry.id));
+    }
+
+    return {
+      gameMode,
+      strategy: policy.batch.strategy,
+      seed: settings.seed,
+      matches,
+      matchedPlayers: waits.length,
+      unmatchedPlayers: queue.reduce((sum, entry) => sum + matchmakingService.getEntrySize(entry), 0),
+      waitMs: QueueSimulator.summarize(waits),
+      quality: QueueSimulator.summarize(qualities, 2),
+      ratingSpread: QueueSimulator.summarize(spreads)
+    };
+  }
+
+  static createEntry(random, n, joinedAt, settings, mode, regions) {
+    const player = id => {
+      const home = regions[Math.floor(random() * regions.length)];
+      const latencies = {};
+      regions.forEach(region => {
+        latencies[region] = region === home ? 15 + Math.floor(random() * 30) : 60 + Math.floor(random() * 140);
+      });
+
+      const preferences = {};
+      for (const [name, values] of Object.entries(settings.preferences)) {
+        preferences[name] = values[Math.floor(random() * values.length)];
+      }
+
+      return {
+        id,
+        username: id,
+        rating: Math.round(settings.ratingMean + QueueSimulator.gaussian(random) * settings.ratingDeviation),
+        deviation: 50,
+        preferences,
+        latencies,
+        joinedAt
+      };
+    };
+
+    const entry = player(`sim-${n}`);
+    if (mode.maxPartySize < 2 || random() >= settings.partyChance) return entry;
+
+    // A party shares its leader's region, preferences and queue time
+    const size = 2 + Math.floor(random() * (Math.min(mode.maxPartySize, mode.teamSize || mode.maxPartySize) - 1));
+    const members = [entry, ...Array.from({ length: size - 1 }, (_, i) => ({ ...player(`sim-${n}-${i + 1}`), latencies: entry.latencies }))];
+    return {
+      ...entry,
+      partyId: `party-${n}`,
+      members: members.map(({ id, username, rating, deviation }) => ({ id, username, rating, deviation })),
+      rating: Math.round(members.reduce((sum, m) => sum + m.rating, 0) / members.length)
+    };
+  }
+
+  static poisson(random, mean) {
+    const limit = Math.exp(-mean);
+    let count = 0;
+    let product = random();
+    while (product > limit) {
+      count++;
+      product *= random();
+    }
+    return count;
+  }
+
+  // Box-Muller
+  static gaussian(random) {
+    return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+  }
+
+  static summarize(values, decimals = 0) {
+    if (values.length === 0) return { mean: null, p50: null, p90: null, max: null };
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const round = value => Math.round(value * 10 ** decimals) / 10 ** decimals;
+    const percentile = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+    return {
+      mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+      p50: round(percentile(0.5)),
+      p90: round(percentile(0.9)),
+      max: round(sorted[sorted.length - 1])
+    };
+  }
+}
+
+export default QueueSimulator;
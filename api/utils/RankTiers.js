@@ -0,0 +1,40 @@
+const TIERS = [
+  { name: 'Bronze', minRating: 0, divisions: 4 },
+  { name: 'Silver', minRating: 900, divisions: 4 },
+  { name: 'Gold', minRating: 1100, divisions: 4 },
+  { name: 'Platinum', minRating: 1300, divisions: 4 },
+  { name: 'Diamond', minRating: 1500, divisions: 4 },
+  { name: 'Master', minRating: 1700, divisions: 1 },
+  { name: 'Grandmaster', minRating: 1900, divisions: 1 }
+];
+
+const DIVISION_NAMES = ['I', 'II', 'III', 'IV'];
+
+class RankTiers {
+  static get tiers() {
+    return TIERS;
+  }
+
+  static getTier(rating, placementsRemaining = 0) {
+    if (placementsRemaining > 0) {
+      return { tier: 'Unranked', division: null, name: 'Unranked', placementsRemaining };
+    }
+
+    const index = TIERS.findLastIndex(t => rating >= t.minRating);
+    const tier = TIERS[Math.max(0, index)];
+
+    if (tier.divisions === 1) {
+      return { tier: tier.name, division: null, name: tier.name, placementsRemaining: 0 };
+    }
+
+    // Divisions count down from IV at the bottom of the tier to I at the top
+    const next = TIERS[index + 1];
+    const span = (next.minRating - tier.minRating) / tier.divisions;
+    const step = Math.min(tier.divisions - 1, Math.floor((rating - tier.minRating) / span));
+    const division = DIVISION_NAMES[tier.divisions - 1 - step];
+
+    return { tier: tier.name, division, name: `${tier.name} ${division}`, placementsRemaining: 0 };
+  }
+}
+
+export default RankTiers;
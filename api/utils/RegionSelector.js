@@ -0,0 +1,85 @@
+// Latencies are round trips in milliseconds, keyed by region name. An entry without
+// any latencies can play anywhere; otherwise regions it has no latency for are out.
+class RegionSelector {
+  static defaults = {
+    maxLatency: 150,
+    tolerance: 30,
+    toleranceStep: 20,
+    toleranceStepMs: 10000
+  };
+
+  // "us-east=https://us-east.example.com/health,eu-west" -> [{ name, pingUrl }]
+  static parse(value) {
+    return String(value || '')
+      .split(',')
+      .map(part => part.trim())
+      .filter(Boolean)
+      .map(part => {
+        const [name, ...url] = part.split('=');
+        return { name: name.trim(), pingUrl: url.join('=').trim() || null };
+      });
+  }
+
+  // Latencies of a group that plays together: the worst member's latency for each region every
+  // measured member knows. Members without latencies can play anywhere and do not narrow it.
+  static combine(latencyMaps) {
+    const measured = latencyMaps.filter(Boolean);
+    if (measured.length === 0) return null;
+
+    const combined = {};
+    for (const region of Object.keys(measured[0])) {
+      if (measured.every(latencies => Number.isFinite(latencies[region]))) {
+        combined[region] = Math.max(...measured.map(latencies => latencies[region]));
+      }
+    }
+    return combined;
+  }
+
+  // Regions within the entry's tolerance of its best region and never above its maxLatency.
+  // The tolerance grows with the entry's own wait.
+  static acceptableRegions(entry, regions, now = Date.now(), options = {}) {
+    const { maxLatency, tolerance, toleranceStep, toleranceStepMs } = { ...RegionSelector.defaults, ...options };
+    const latencies = entry.latencies || {};
+    const known = regions.filter(region => Number.isFinite(latencies[region]));
+    if (known.length === 0) return null;
+
+    const best = Math.min(...known.map(region => latencies[region]));
+    const waited = Math.max(0, now - (entry.joinedAt ?? now));
+    const widened = tolerance + Math.floor(waited / toleranceStepMs) * toleranceStep;
+    const limit = Math.min(entry.maxLatency ?? maxLatency, best + widened);
+
+    const acceptable = {};
+    known.filter(region => latencies[region] <= limit).forEach(region => {
+      acceptable[region] = latencies[region];
+    });
+    return acceptable;
+  }
+
+  // The region every entry accepts with the lowest combined latency (ties go to the lower worst case),
+  // or null when they have no region in common
+  static select(entries, regions, now = Date.now(), options = {}) {
+    const views = entries.map(entry => RegionSelector.acceptableRegions(entry, regions, now, options));
+    let best = null;
+
+    for (const region of regions) {
+      if (views.some(view => view && !(region in view))) continue;
+
+      const latencies = views.filter(Boolean).map(view => view[region]);
+      const total = latencies.reduce((sum, latency) => sum + latency, 0);
+      const worst = latencies.length > 0 ? Math.max(...latencies) : 0;
+
+      if (!best || total < best.total || (total === best.total && worst < best.worst)) {
+        best = { region, total, worst, count: latencies.length };
+      }
+    }
+
+    if (!best) return null;
+    return {
+      region: best.region,
+      averageLatency: best.count > 0 ? Math.round(best.total / best.count) : null,
+      worstLatency: best.count > 0 ? best.worst : null
+    };
+  }
+}
+
+export default RegionSelector;
@@ -0,0 +1,130 @@
+import SnapshotBuffer from './SnapshotBuffer.js';
+
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 8;
+
+// Plays a compact replay back through `emit(event, payload)` in replay time, scaled by speed
+class ReplayPlayer {
+  constructor(replay, emit, { speed = 1 } = {}) {
+    this.replay = replay;
+    this.emit = emit;
+    this.speed = ReplayPlayer.clampSpeed(speed);
+    this.position = 0;
+    this.index = 0;
+    this.playing = false;
+    this.playStartedAt = null;
+    this.timer = null;
+  }
+
+  static clampSpeed(speed) {
+    const value = Number(speed);
+    if (!Number.isFinite(value)) return 1;
+    return Math.min(MAX_SPEED, Math.max(MIN_SPEED, value));
+  }
+
+  currentPosition() {
+    if (!this.playing) return this.position;
+    return Math.min(this.replay.duration, this.position + (Date.now() - this.playStartedAt) * this.speed);
+  }
+
+  status() {
+    return {
+      gameId: this.replay.gameId,
+      playing: this.playing,
+      position: Math.round(this.currentPosition()),
+      duration: this.replay.duration,
+      speed: this.speed,
+      ended: this.index >= this.replay.events.length
+    };
+  }
+
+  play() {
+    if (this.playing) return;
+    if (this.index >= this.replay.events.length) this.seek(0);
+
+    this.playing = true;
+    this.playStartedAt = Date.now();
+    this.schedule();
+    this.emit('replay_status', this.status());
+  }
+
+  pause() {
+    if (!this.playing) return;
+
+    this.position = this.currentPosition();
+    this.playing = false;
+    clearTimeout(this.timer);
+    this.emit('replay_status', this.status());
+  }
+
+  setSpeed(speed) {
+    this.position = this.currentPosition();
+    this.playStartedAt = Date.now();
+    this.speed = ReplayPlayer.clampSpeed(speed);
+
+    if (this.playing) this.schedule();
+    this.emit('replay_status', this.status());
+  }
+
+  // Jumps straight to `position`, sending the state there instead of every event in between
+  seek(position) {
+    const target = Math.min(this.replay.duration, Math.max(0, Number(position) || 0));
+
+    this.position = target;
+    this.playStartedAt = Date.now();
+    this.index = this.replay.events.findIndex(([t]) => t > target);
+    if (this.index === -1) this.index = this.replay.events.length;
+
+    this.emit('replay_state', { position: target, ...ReplayPlayer.stateAt(this.replay, target) });
+    if (this.playing) this.schedule();
+    this.emit('replay_status', this.status());
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+
+    const next = this.replay.events[this.index];
+    if (!next) {
+      this.position = this.replay.duration;
+      this.playing = false;
+      this.emit('replay_status', this.status());
+      return;
+    }
+
+    const delay = Math.max(0, (next[0] - this.currentPosition()) / this.speed);
+    this.timer = setTimeout(() => {
+      const [t, type, data] = next;
+      this.position = t;
+      this.playStartedAt = Date.now();
+      this.index++;
+      this.emit('replay_event', { t, type, data });
+      this.schedule();
+    }, delay);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.playing = false;
+  }
+
+  // Snapshot state rebuilt from the last keyframe, plus the latest update of each type
+  static stateAt(replay, position) {
+    let snapshot = null;
+    const updates = {};
+
+    for (const [t, type, data] of replay.events) {
+      if (t > position) break;
+
+      if (type === 'snapshot') {
+        if (data.full) snapshot = SnapshotBuffer.apply(null, data);
+        else if (snapshot) snapshot = SnapshotBuffer.apply(snapshot, data);
+      } else if (type === 'update') {
+        updates[data.type] = data;
+      }
+    }
+
+    return { snapshot, updates };
+  }
+}
+
+export default ReplayPlayer;
@@ -0,0 +1,94 @@
+// Recent per-tick game states plus the last tick each client acknowledged, so
+// every client only receives what changed since the state it is known to hold.
+// A snapshot is { entities: { [id]: { field: value } }, meta: { field: value }, events: [] };
+// events belong to their tick only and are never diffed.
+class SnapshotBuffer {
+  constructor(size = 32) {
+    this.size = size;
+    this.snapshots = new Map();
+    this.acks = new Map();
+    this.latestTick = null;
+  }
+
+  push(tick, entities, meta = {}, events = []) {
+    this.snapshots.set(tick, { entities, meta, events });
+    this.latestTick = tick;
+
+    for (const stored of this.snapshots.keys()) {
+      if (stored <= tick - this.size) this.snapshots.delete(stored);
+    }
+  }
+
+  acknowledge(clientId, tick) {
+    if (!this.snapshots.has(tick)) return false;
+    if (tick <= (this.acks.get(clientId) ?? -Infinity)) return false;
+
+    this.acks.set(clientId, tick);
+    return true;
+  }
+
+  resync(clientId) {
+    this.acks.delete(clientId);
+  }
+
+  // Delta against the client's last acknowledged tick, or a full snapshot if that tick is gone.
+  // `filter` narrows a snapshot to what this client may see and must be deterministic per tick.
+  buildFor(clientId, filter = null) {
+    const current = this.snapshots.get(this.latestTick);
+    if (!current) return null;
+
+    const ackedTick = this.acks.get(clientId);
+    const base = this.snapshots.get(ackedTick);
+    const view = snapshot => (filter ? filter(snapshot) : snapshot);
+
+    const visible = view(current);
+    const delta = SnapshotBuffer.diff(base ? view(base) : null, visible);
+    return { tick: this.latestTick, baseTick: base ? ackedTick : null, full: !base, ...delta, events: visible.events || [] };
+  }
+
+  static diff(base, current) {
+    const changed = {};
+    const removed = [];
+    const baseEntities = base?.entities || {};
+
+    for (const [id, entity] of Object.entries(current.entities)) {
+      const fields = SnapshotBuffer.diffFields(baseEntities[id], entity);
+      if (fields) changed[id] = fields;
+    }
+
+    for (const id of Object.keys(baseEntities)) {
+      if (!(id in current.entities)) removed.push(id);
+    }
+
+    return { changed, removed, meta: SnapshotBuffer.diffFields(base?.meta, current.meta) || {} };
+  }
+
+  static diffFields(before, after) {
+    if (!before) return { ...after };
+
+    const fields = {};
+    for (const [key, value] of Object.entries(after)) {
+      if (JSON.stringify(before[key]) !== JSON.stringify(value)) fields[key] = value;
+    }
+    return Object.keys(fields).length > 0 ? fields : null;
+  }
+
+  // Inverse of diff; clients do the same to rebuild state from a delta
+  static apply(base, delta) {
+    const entities = {};
+
+    if (!delta.full) {
+      for (const [id, entity] of Object.entries(base.entities)) {
+        if (!delta.removed.includes(id)) entities[id] = { ...entity };
+      }
+    }
+
+    for (const [id, fields] of Object.entries(delta.changed)) {
+      entities[id] = { ...entities[id], ...fields };
+    }
+
+    return { entities, meta: { ...(delta.full ? {} : base.meta), ...delta.meta } };
+  }
+}
+
+export default SnapshotBuffer;
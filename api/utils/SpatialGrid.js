@@ -0,0 +1,49 @@
+// Uniform grid bucketing points by cell so radius queries only look at nearby cells
+class SpatialGrid {
+  constructor(cellSize) {
+    if (!(cellSize > 0)) throw new Error('Cell size must be positive');
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    this.points = new Map();
+  }
+
+  static fromEntities(entities, cellSize) {
+    const grid = new SpatialGrid(cellSize);
+    for (const [id, entity] of Object.entries(entities)) {
+      if (Number.isFinite(entity.x) && Number.isFinite(entity.y)) grid.insert(id, entity.x, entity.y);
+    }
+    return grid;
+  }
+
+  cellKey(cx, cy) {
+    return `${cx}:${cy}`;
+  }
+
+  insert(id, x, y) {
+    const key = this.cellKey(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize));
+    if (!this.cells.has(key)) this.cells.set(key, []);
+    this.cells.get(key).push(id);
+    this.points.set(id, { x, y });
+  }
+
+  query(x, y, radius) {
+    const found = [];
+    const minX = Math.floor((x - radius) / this.cellSize);
+    const maxX = Math.floor((x + radius) / this.cellSize);
+    const minY = Math.floor((y - radius) / this.cellSize);
+    const maxY = Math.floor((y + radius) / this.cellSize);
+
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cy = minY; cy <= maxY; cy++) {
+        for (const id of this.cells.get(this.cellKey(cx, cy)) || []) {
+          const point = this.points.get(id);
+          if (Math.hypot(point.x - x, point.y - y) <= radius) found.push(id);
+        }
+      }
+    }
+
+    return found;
+  }
+}
+
+export default SpatialGrid;
@@ -0,0 +1,98 @@
+class TeamBalancer {
+  static validateInputs(players, teamSize) {
+    if (!Array.isArray(players) || players.length !== teamSize * 2) {
+      throw new Error(`Team balancing needs exactly ${teamSize * 2} players`);
+    }
+
+    if (players.some(p => typeof p.rating !== 'number')) {
+      throw new Error('Ratings must be numbers');
+    }
+  }
+
+  // Party members always share a team, so balancing works on units
+  static groupUnits(players) {
+    const units = new Map();
+
+    for (const player of players) {
+      const key = player.partyId ? `party:${player.partyId}` : `solo:${player.id}`;
+      if (!units.has(key)) units.set(key, []);
+      units.get(key).push(player);
+    }
+
+    return [...units.values()];
+  }
+
+  static canSplit(unitSizes, teamSize) {
+    const reachable = new Set([0]);
+    for (const size of unitSizes) {
+      for (const total of [...reachable]) {
+        if (total + size <= teamSize) reachable.add(total + size);
+      }
+    }
+    return reachable.has(teamSize);
+  }
+
+  static getTeamStats(players) {
+    const average = players.reduce((sum, p) => sum + p.rating, 0) / players.length;
+    const variance = players.reduce((sum, p) => sum + Math.pow(p.rating - average, 2), 0) / players.length;
+    return { average, spread: Math.sqrt(variance) };
+  }
+
+  static scoreSplit(teamA, teamB, spreadWeight) {
+    const a = this.getTeamStats(teamA);
+    const b = this.getTeamStats(teamB);
+    return Math.abs(a.average - b.average) + spreadWeight * Math.abs(a.spread - b.spread);
+  }
+
+  static balance(players, teamSize, spreadWeight = 0.25) {
+    this.validateInputs(players, teamSize);
+
+    const units = this.groupUnits(players);
+    if (units.some(unit => unit.length > teamSize)) {
+      throw new Error('Party is larger than a team');
+    }
+
+    let best = null;
+
+    // The first unit is pinned to team A so mirrored splits are not evaluated twice
+    const search = (index, teamA, size) => {
+      if (size === teamSize) {
+        const inA = new Set(teamA);
+        const teamB = units.filter(unit => !inA.has(unit));
+        const playersA = teamA.flat();
+        const playersB = teamB.flat();
+        const score = this.scoreSplit(playersA, playersB, spreadWeight);
+
+        if (!best || score < best.score) {
+          best = { score, teams: [playersA, playersB] };
+        }
+        return;
+      }
+
+      for (let i = index; i < units.length; i++) {
+        if (size + units[i].length > teamSize) continue;
+        teamA.push(units[i]);
+        search(i + 1, teamA, size + units[i].length);
+        teamA.pop();
+      }
+    };
+
+    if (units[0].length <= teamSize) {
+      search(1, [units[0]], units[0].length);
+    }
+
+    if (!best) throw new Error('Unable to split parties into even teams');
+
+    return best.teams.map((teamPlayers, id) => {
+      const { average, spread } = this.getTeamStats(teamPlayers);
+      return {
+        id,
+        players: teamPlayers.map(p => p.id),
+        averageRating: Math.round(average),
+        ratingSpread: Math.round(spread)
+      };
+    });
+  }
+}
+
+export default TeamBalancer;